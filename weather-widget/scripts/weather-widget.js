@@ -1,805 +1,7316 @@
 // weather-widget.js - Complete JavaScript implementation with enhanced error handling
 
+// Error types - classify failures by class/code instead of matching message text
+class WeatherError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'unknown';
+        this.status = options.status || null;
+        this.retryable = false;
+        this.cause = options.cause || null;
+        // Catalog key + params for a user-facing translation of the message (see Locale)
+        this.messageKey = options.messageKey || null;
+        this.messageParams = options.messageParams || {};
+    }
+
+    // Wrap anything thrown by fetch/JSON parsing/etc. in the matching error type
+    static from(error) {
+        if (error instanceof WeatherError) {
+            return error;
+        }
+        if (error && error.name === 'AbortError') {
+            return new TimeoutError('Request timeout - please check your internet connection and try again', { cause: error });
+        }
+        if (error && error.name === 'TypeError') {
+            return new NetworkError('Network connection failed - please check your internet connection', { cause: error });
+        }
+        if (error && error.name === 'SyntaxError') {
+            return new MalformedResponseError('Invalid data format received from server', { cause: error });
+        }
+        return new WeatherError(error && error.message ? error.message : String(error), { cause: error });
+    }
+
+    // Map a non-OK fetch Response to its error type
+    static fromResponse(response) {
+        const status = response.status;
+        const message = `HTTP ${status}: ${response.statusText}`;
+        if (status === 429) {
+            return new RateLimitError(message, {
+                status,
+                retryAfter: NetworkUtils.parseRetryAfter(response.headers && response.headers.get('Retry-After'))
+            });
+        }
+        if (status >= 500) {
+            return new ServerError(message, { status });
+        }
+        if (status === 404) {
+            return new NotFoundError(message, { status });
+        }
+        return new HttpError(message, { status });
+    }
+}
+
+// Bad input from the user or caller (city name, coordinates)
+class ValidationError extends WeatherError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'validation';
+    }
+}
+
+// The location (or resource) does not exist
+class NotFoundError extends WeatherError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'not-found';
+    }
+}
+
+// No connection / DNS / CORS failure - fetch rejected with a TypeError
+class NetworkError extends WeatherError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'network';
+        this.retryable = true;
+    }
+}
+
+class TimeoutError extends WeatherError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'timeout';
+        this.retryable = true;
+    }
+}
+
+// Any other non-OK HTTP status (mostly 4xx, which will not succeed on retry)
+class HttpError extends WeatherError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'http';
+    }
+}
+
+// HTTP 429 - retryAfter is in milliseconds when the server sent Retry-After
+class RateLimitError extends HttpError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.code = 'rate-limit';
+        this.retryable = true;
+        this.retryAfter = options.retryAfter || null;
+    }
+}
+
+// HTTP 5xx
+class ServerError extends HttpError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'server';
+        this.retryable = true;
+    }
+}
+
+// The response arrived but is not the JSON shape we expect
+class MalformedResponseError extends WeatherError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'malformed';
+    }
+}
+
+// Request was cancelled by the caller (e.g. superseded by a newer search) - never retried or shown
+class CancelledError extends WeatherError {
+    constructor(message = 'Request cancelled', options) {
+        super(message, options);
+        this.code = 'cancelled';
+    }
+}
+
+// The device position could not be read. `reason` is 'denied', 'unavailable', 'timeout' or
+// 'unsupported', and picks the guidance shown to the user (the geo.<reason>Help catalog key).
+class GeolocationError extends WeatherError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.code = 'geolocation';
+        this.reason = options.reason || 'unavailable';
+        this.messageKey = this.messageKey || `geo.${this.reason}Help`;
+    }
+
+    // Wrap a GeolocationPositionError (code 1 = denied, 2 = unavailable, 3 = timeout)
+    static from(error) {
+        const reason = { 1: 'denied', 2: 'unavailable', 3: 'timeout' }[error && error.code] || 'unavailable';
+        return new GeolocationError(error && error.message ? error.message : 'Geolocation failed', { reason, cause: error });
+    }
+}
+
+// Decides whether and when fetchWithRetry tries again
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 3;
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000;
+        this.maxDelay = options.maxDelay || 8000;
+        this.maxTotalTime = options.maxTotalTime || 30000;       // give up once this much time has passed
+        this.maxRetryAfter = options.maxRetryAfter || 30000;     // ignore Retry-After beyond this
+        this.jitter = options.jitter !== undefined ? options.jitter : true;
+        // Statuses worth retrying; every other 4xx fails immediately
+        this.retryStatuses = options.retryStatuses || [408, 425, 429, 500, 502, 503, 504];
+    }
+
+    shouldRetry(error, attempt, elapsed) {
+        if (attempt >= this.maxAttempts || error instanceof CancelledError) {
+            return false;
+        }
+        const retryable = error.status ? this.retryStatuses.includes(error.status) : error.retryable;
+        return retryable && elapsed + this.getDelay(error, attempt, true) <= this.maxTotalTime;
+    }
+
+    // Full-jitter exponential backoff; a server's Retry-After wins when present
+    getDelay(error, attempt, upperBound = false) {
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return Math.min(error.retryAfter, this.maxRetryAfter);
+        }
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+        return this.jitter && !upperBound ? Math.round(Math.random() * ceiling) : ceiling;
+    }
+}
+
 // Network utility class for handling retries and timeouts
 class NetworkUtils {
-    static async fetchWithRetry(url, options = {}, maxRetries = 3) {
-        const defaultOptions = {
-            timeout: 10000, // 10 seconds timeout
-            ...options
-        };
+    // `options.signal` cancels the whole operation (including backoff waits);
+    // `policy` may be a RetryPolicy or, for backwards compatibility, a max attempt count
+    static async fetchWithRetry(url, options = {}, policy = new RetryPolicy()) {
+        const retryPolicy = typeof policy === 'number' ? new RetryPolicy({ maxAttempts: policy }) : policy;
+        const { timeout = 10000, signal: outerSignal, ...fetchOptions } = options;
+        const startedAt = Date.now();
 
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        for (let attempt = 1; ; attempt++) {
+            if (outerSignal && outerSignal.aborted) {
+                throw new CancelledError();
+            }
+            
+            const controller = new AbortController();
+            let timedOut = false;
+            const timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+            const onOuterAbort = () => controller.abort();
+            if (outerSignal) {
+                outerSignal.addEventListener('abort', onOuterAbort);
+            }
+            
             try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), defaultOptions.timeout);
-                
                 const response = await fetch(url, {
-                    ...defaultOptions,
+                    ...fetchOptions,
                     signal: controller.signal
                 });
                 
-                clearTimeout(timeoutId);
-                
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    throw WeatherError.fromResponse(response);
                 }
                 
                 return response;
                 
-            } catch (error) {
-                if (attempt === maxRetries) {
-                    if (error.name === 'AbortError') {
-                        throw new Error('Request timeout - please check your internet connection and try again');
-                    }
-                    if (error.name === 'TypeError') {
-                        throw new Error('Network connection failed - please check your internet connection');
-                    }
+            } catch (caught) {
+                if (caught && caught.name === 'AbortError' && !timedOut) {
+                    throw new CancelledError('Request cancelled', { cause: caught });
+                }
+                const error = WeatherError.from(caught);
+                if (!retryPolicy.shouldRetry(error, attempt, Date.now() - startedAt)) {
                     throw error;
                 }
                 
-                // Exponential backoff delay
-                const delay = Math.pow(2, attempt - 1) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
+                await NetworkUtils.sleep(retryPolicy.getDelay(error, attempt), outerSignal);
+            } finally {
+                clearTimeout(timeoutId);
+                if (outerSignal) {
+                    outerSignal.removeEventListener('abort', onOuterAbort);
+                }
+            }
+        }
+    }
+
+    // setTimeout as a promise that rejects with CancelledError when `signal` aborts
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new CancelledError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new CancelledError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
             }
+        });
+    }
+
+    // Parse a response body as JSON, reporting bad payloads as MalformedResponseError
+    static async readJSON(response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new MalformedResponseError('Invalid data format received from server', { cause: error });
+        }
+    }
+
+    // Retry-After is either delay-seconds or an HTTP date; returns milliseconds or null
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
         }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
     }
 
     static validateCityName(cityName) {
         if (!cityName || typeof cityName !== 'string') {
-            throw new Error('City name is required');
+            throw new ValidationError('City name is required', { messageKey: 'validation.required' });
         }
         
         const trimmed = cityName.trim();
         if (trimmed.length === 0) {
-            throw new Error('City name cannot be empty');
+            throw new ValidationError('City name cannot be empty', { messageKey: 'validation.empty' });
         }
         
         if (trimmed.length < 2) {
-            throw new Error('City name must be at least 2 characters long');
+            throw new ValidationError('City name must be at least 2 characters long', { messageKey: 'validation.tooShort' });
         }
         
         if (trimmed.length > 100) {
-            throw new Error('City name is too long (max 100 characters)');
+            throw new ValidationError('City name is too long (max 100 characters)', { messageKey: 'validation.tooLong' });
         }
         
         // Check for potentially harmful characters
         const dangerousChars = /[<>\"'&]/;
         if (dangerousChars.test(trimmed)) {
-            throw new Error('City name contains invalid characters');
+            throw new ValidationError('City name contains invalid characters', { messageKey: 'validation.invalidCharacters' });
         }
         
         return trimmed;
     }
 }
 
-// Weather service layer for API interactions
-class WeatherService {
-    constructor() {
-        this.baseURL = 'https://api.open-meteo.com/v1/forecast';
-        this.geocodingURL = 'https://geocoding-api.open-meteo.com/v1/search';
+// Escaping for strings from APIs, storage or the user on their way into markup (and slugs for
+// file names). Message catalogs and numbers formatted here are trusted; place names, queries
+// and errors are not.
+class Markup {
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"']/g, char => Markup.entities[char]);
     }
 
-    async getCoordinates(cityName) {
-        try {
-            const validatedCity = NetworkUtils.validateCityName(cityName);
-            const url = `${this.geocodingURL}?name=${encodeURIComponent(validatedCity)}&count=1&language=en&format=json`;
-            
-            const response = await NetworkUtils.fetchWithRetry(url);
-            const data = await response.json();
-            
-            if (!data.results || data.results.length === 0) {
-                throw new Error(`No results found for "${validatedCity}". Please check the spelling or try a different city name.`);
-            }
-            
-            const location = data.results[0];
-            
-            // Validate location data
-            if (!location.latitude || !location.longitude || !location.name) {
-                throw new Error('Invalid location data received from server');
-            }
-            
-            return {
-                latitude: parseFloat(location.latitude),
-                longitude: parseFloat(location.longitude),
-                name: location.name,
-                country: location.country || 'Unknown',
-                admin1: location.admin1 || null
-            };
-        } catch (error) {
-            if (error.message.includes('No results found') || error.message.includes('Invalid location')) {
-                throw error; // Re-throw user-friendly errors as-is
-            }
-            throw new Error(`Unable to find location: ${error.message}`);
-        }
+    // File name or path segment for a place name: "São Paulo" -> "sao-paulo". Empty for names
+    // without Latin letters or digits.
+    static slug(name) {
+        return String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
     }
+}
 
-    async getWeatherData(latitude, longitude) {
-        try {
-            // Validate coordinates
-            if (!latitude || !longitude || isNaN(latitude) || isNaN(longitude)) {
-                throw new Error('Invalid coordinates provided');
-            }
-            
-            if (latitude < -90 || latitude > 90) {
-                throw new Error('Invalid latitude (must be between -90 and 90)');
-            }
-            
-            if (longitude < -180 || longitude > 180) {
-                throw new Error('Invalid longitude (must be between -180 and 180)');
-            }
-            
-            const params = new URLSearchParams({
-                latitude: latitude.toString(),
-                longitude: longitude.toString(),
-                current: 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,wind_direction_10m,pressure_msl,visibility',
-                daily: 'weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,precipitation_sum,wind_speed_10m_max',
-                hourly: 'temperature_2m,weather_code',
-                timezone: 'auto',
-                forecast_days: 5,
-                temperature_unit: 'fahrenheit',
-                wind_speed_unit: 'mph'
-            });
+Markup.entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
 
-            const url = `${this.baseURL}?${params}`;
-            const response = await NetworkUtils.fetchWithRetry(url);
-            const data = await response.json();
-            
-            // Validate weather data structure
-            if (!data.current || !data.daily || !data.hourly) {
-                throw new Error('Invalid weather data format received from server');
+// Unit system: per-quantity unit choices, API parameters, conversion and persistence
+class UnitSystem {
+    constructor(units = {}) {
+        const defaults = UnitSystem.presets.metric;
+        this.temperature = units.temperature || defaults.temperature;
+        this.windSpeed = units.windSpeed || defaults.windSpeed;
+        this.precipitation = units.precipitation || defaults.precipitation;
+        this.distance = units.distance || defaults.distance;
+        this.pressure = units.pressure || defaults.pressure;
+    }
+
+    static get STORAGE_KEY() {
+        return 'weatherWidget.units';
+    }
+
+    static get presets() {
+        return {
+            metric: { temperature: 'celsius', windSpeed: 'kmh', precipitation: 'mm', distance: 'km', pressure: 'hPa' },
+            imperial: { temperature: 'fahrenheit', windSpeed: 'mph', precipitation: 'inch', distance: 'mi', pressure: 'inHg' }
+        };
+    }
+
+    // Available choices per quantity, keyed by internal id with display label
+    static get options() {
+        return {
+            temperature: { celsius: '°C', fahrenheit: '°F' },
+            windSpeed: { kmh: 'km/h', mph: 'mph', ms: 'm/s', kn: 'kn' },
+            precipitation: { mm: 'mm', inch: 'in' },
+            distance: { km: 'km', mi: 'mi' },
+            pressure: { hPa: 'hPa', inHg: 'inHg' }
+        };
+    }
+
+    static fromPreset(name) {
+        return new UnitSystem(UnitSystem.presets[name] || UnitSystem.presets.metric);
+    }
+
+    // Imperial for the handful of locales that still use it, metric everywhere else
+    static getDefault() {
+        const language = (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+        const region = language.split('-')[1];
+        return UnitSystem.fromPreset(['US', 'LR', 'MM'].includes(region) ? 'imperial' : 'metric');
+    }
+
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(UnitSystem.STORAGE_KEY));
+            if (stored && typeof stored === 'object') {
+                return new UnitSystem(UnitSystem.sanitize(stored));
             }
-            
-            return data;
         } catch (error) {
-            if (error.message.includes('Invalid coordinates') || error.message.includes('Invalid latitude') || error.message.includes('Invalid longitude')) {
-                throw error; // Re-throw validation errors as-is
-            }
-            throw new Error(`Unable to fetch weather data: ${error.message}`);
+            console.warn('Failed to read saved unit preferences:', error);
         }
+        return UnitSystem.getDefault();
     }
 
-    async searchCities(query) {
-        try {
-            // Validate search query
-            if (!NetworkUtils.validateCityName(query)) {
-                return []; // Return empty array for invalid queries
+    // Drop any unknown quantity or unit id (e.g. from an older saved format)
+    static sanitize(units) {
+        const clean = {};
+        for (const [quantity, choices] of Object.entries(UnitSystem.options)) {
+            if (units[quantity] && Object.prototype.hasOwnProperty.call(choices, units[quantity])) {
+                clean[quantity] = units[quantity];
             }
-            
-            const url = `${this.geocodingURL}?name=${encodeURIComponent(query)}&count=5&language=en&format=json`;
-            const response = await NetworkUtils.fetchWithRetry(url);
-            const data = await response.json();
-            
-            return data.results || [];
-        } catch (error) {
-            console.warn('City search failed:', error);
-            return []; // Return empty array on error to prevent UI breakage
         }
+        return clean;
     }
 
-    async reverseGeocode(latitude, longitude) {
+    save() {
         try {
-            // Use OpenStreetMap Nominatim for reverse geocoding (free, no API key needed)
-            const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=10&addressdetails=1`;
-            
-            // Add User-Agent header as required by Nominatim usage policy
-            const response = await NetworkUtils.fetchWithRetry(url, {
-                headers: {
-                    'User-Agent': 'WeatherWidget/1.0 (https://myfirstsite.local)'
-                }
-            });
-            const data = await response.json();
-            
-            if (data && data.address) {
-                const address = data.address;
-                
-                // Extract city name (try different fields)
-                const city = address.city || address.town || address.village || address.municipality || address.hamlet || 'Unknown City';
-                
-                // Extract state/region (try different fields)
-                const state = address.state || address.region || address.province || address.county || '';
-                
-                // Extract country
-                const country = address.country || 'Unknown Country';
-                
-                return {
-                    name: city,
-                    country: country,
-                    admin1: state,
-                    latitude: latitude,
-                    longitude: longitude
-                };
-            }
-            
-            // Fallback if no results
-            return {
-                name: 'Your Location',
-                country: 'Current Location',
-                admin1: '',
-                latitude: latitude,
-                longitude: longitude
-            };
+            localStorage.setItem(UnitSystem.STORAGE_KEY, JSON.stringify(this.toJSON()));
         } catch (error) {
-            console.warn('Reverse geocoding failed:', error);
-            // Return fallback location info
-            return {
-                name: 'Your Location',
-                country: 'Current Location', 
-                admin1: '',
-                latitude: latitude,
-                longitude: longitude
-            };
+            console.warn('Failed to save unit preferences:', error);
         }
     }
-}
 
-// Data processing layer
-class WeatherDataProcessor {
-    static processCurrentWeather(data, locationInfo) {
-        const current = data.current;
-        const daily = data.daily;
-        const hourly = data.hourly;
-        
-        // Get current hour index for hourly data
-        const currentTime = new Date();
-        const currentHour = currentTime.getHours();
-        
+    with(quantity, unit) {
+        return new UnitSystem({ ...this.toJSON(), [quantity]: unit });
+    }
+
+    toJSON() {
         return {
-            location: {
-                name: locationInfo.name,
-                country: locationInfo.country,
-                admin1: locationInfo.admin1,
-                fullName: `${locationInfo.name}${locationInfo.admin1 ? `, ${locationInfo.admin1}` : ''}, ${locationInfo.country}`
-            },
-            current: {
-                temperature: Math.round(current.temperature_2m),
-                feelsLike: Math.round(current.apparent_temperature),
-                humidity: current.relative_humidity_2m,
-                windSpeed: Math.round(current.wind_speed_10m),
-                windDirection: current.wind_direction_10m,
-                pressure: current.pressure_msl ? Math.round(current.pressure_msl) : null,
-                visibility: current.visibility ? Math.round(current.visibility / 1000) : null,
-                weatherCode: current.weather_code,
-                description: this.getWeatherDescription(current.weather_code),
-                icon: this.getWeatherIcon(current.weather_code),
-                time: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})
-            },
-            today: {
-                maxTemp: Math.round(daily.temperature_2m_max[0]),
-                minTemp: Math.round(daily.temperature_2m_min[0]),
-                feelsLikeMax: Math.round(daily.apparent_temperature_max[0]),
-                feelsLikeMin: Math.round(daily.apparent_temperature_min[0]),
-                precipitation: daily.precipitation_sum[0] || 0,
-                maxWind: Math.round(daily.wind_speed_10m_max[0])
-            },
-            hourly: this.processHourlyForecast(hourly, currentHour)
+            temperature: this.temperature,
+            windSpeed: this.windSpeed,
+            precipitation: this.precipitation,
+            distance: this.distance,
+            pressure: this.pressure
         };
     }
 
-    static processHourlyForecast(hourly, currentHour) {
-        const hourlyForecast = [];
-        
-        // Get next 12 hours starting from current hour
-        for (let i = 0; i < 12; i++) {
-            const hourIndex = currentHour + i;
-            if (hourIndex < hourly.time.length) {
-                const time = new Date(hourly.time[hourIndex]);
-                hourlyForecast.push({
-                    time: time.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
-                    hour: time.getHours(),
-                    temperature: Math.round(hourly.temperature_2m[hourIndex]),
-                    weatherCode: hourly.weather_code[hourIndex],
-                    icon: this.getWeatherIcon(hourly.weather_code[hourIndex])
-                });
+    // Name of the matching preset, or 'custom' for mixed choices such as °C + mph
+    get preset() {
+        const current = this.toJSON();
+        for (const [name, units] of Object.entries(UnitSystem.presets)) {
+            if (Object.keys(units).every(quantity => units[quantity] === current[quantity])) {
+                return name;
             }
         }
-        
-        return hourlyForecast;
+        return 'custom';
     }
 
-    static processForecast(data) {
-        const daily = data.daily;
-        const forecast = [];
-        
-        // Start from tomorrow (index 1)
-        for (let i = 1; i < daily.time.length; i++) {
-            const date = new Date(daily.time[i]);
-            forecast.push({
-                date: date,
-                dayName: this.getDayName(date),
-                shortDay: this.getShortDayName(date),
-                weatherCode: daily.weather_code[i],
-                description: this.getWeatherDescription(daily.weather_code[i]),
-                icon: this.getWeatherIcon(daily.weather_code[i]),
-                maxTemp: Math.round(daily.temperature_2m_max[i]),
-                minTemp: Math.round(daily.temperature_2m_min[i]),
-                feelsLikeMax: Math.round(daily.apparent_temperature_max[i]),
-                feelsLikeMin: Math.round(daily.apparent_temperature_min[i]),
-                precipitation: daily.precipitation_sum[i] || 0,
-                maxWind: Math.round(daily.wind_speed_10m_max[i])
-            });
-        }
-        
-        return forecast;
-    }
-
-    static getWeatherDescription(code) {
-        const weatherCodes = {
-            0: 'Clear sky',
-            1: 'Mainly clear',
-            2: 'Partly cloudy',
-            3: 'Overcast',
-            45: 'Fog',
-            48: 'Depositing rime fog',
-            51: 'Light drizzle',
-            53: 'Moderate drizzle',
-            55: 'Dense drizzle',
-            56: 'Light freezing drizzle',
-            57: 'Dense freezing drizzle',
-            61: 'Slight rain',
-            63: 'Moderate rain',
-            65: 'Heavy rain',
-            66: 'Light freezing rain',
-            67: 'Heavy freezing rain',
-            71: 'Slight snow fall',
-            73: 'Moderate snow fall',
-            75: 'Heavy snow fall',
-            77: 'Snow grains',
-            80: 'Slight rain showers',
-            81: 'Moderate rain showers',
-            82: 'Violent rain showers',
-            85: 'Slight snow showers',
-            86: 'Heavy snow showers',
-            95: 'Thunderstorm',
-            96: 'Thunderstorm with slight hail',
-            99: 'Thunderstorm with heavy hail'
-        };
-        
-        return weatherCodes[code] || 'Unknown';
+    // Compact form for URLs: the preset name, or every unit id in `options` order ("celsius.mph.mm.km.hPa")
+    toParam() {
+        const preset = this.preset;
+        return preset !== 'custom' ? preset : Object.keys(UnitSystem.options).map(quantity => this[quantity]).join('.');
     }
 
-    static getWeatherIcon(code) {
-        const iconMap = {
-            0: '☀️',
-            1: '🌤️',
-            2: '⛅',
-            3: '☁️',
-            45: '🌫️',
-            48: '🌫️',
-            51: '🌦️',
-            53: '🌦️',
-            55: '🌦️',
-            56: '🌦️',
-            57: '🌦️',
-            61: '🌧️',
-            63: '🌧️',
-            65: '🌧️',
-            66: '🌧️',
-            67: '🌧️',
-            71: '🌨️',
-            73: '🌨️',
-            75: '🌨️',
-            77: '🌨️',
-            80: '🌦️',
-            81: '🌦️',
-            82: '🌦️',
-            85: '🌨️',
-            86: '🌨️',
-            95: '⛈️',
-            96: '⛈️',
-            99: '⛈️'
+    // Inverse of toParam(); null when nothing in the value is recognized
+    static fromParam(value) {
+        if (!value) return null;
+        if (UnitSystem.presets[value]) return UnitSystem.fromPreset(value);
+        const ids = value.split('.');
+        const units = UnitSystem.sanitize(Object.fromEntries(
+            Object.keys(UnitSystem.options).map((quantity, index) => [quantity, ids[index]])
+        ));
+        return Object.keys(units).length > 0 ? new UnitSystem(units) : null;
+    }
+
+    // Open-Meteo converts temperature, wind and precipitation server-side
+    toApiParams() {
+        return {
+            temperature_unit: this.temperature,
+            wind_speed_unit: this.windSpeed,
+            precipitation_unit: this.precipitation
         };
-        
-        return iconMap[code] || '❓';
     }
 
-    static getDayName(date) {
-        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        return days[date.getDay()];
+    label(quantity) {
+        return UnitSystem.options[quantity][this[quantity]];
+    }
+
+    get labels() {
+        return {
+            temperature: this.label('temperature'),
+            windSpeed: this.label('windSpeed'),
+            precipitation: this.label('precipitation'),
+            distance: this.label('distance'),
+            pressure: this.label('pressure')
+        };
+    }
+
+    // Visibility arrives in metres (feet for some imperial requests)
+    convertDistance(value, sourceUnit = 'm') {
+        if (value === null || value === undefined) return null;
+        const metres = sourceUnit === 'ft' ? value * 0.3048 : value;
+        return this.distance === 'mi' ? metres / 1609.344 : metres / 1000;
+    }
+
+    // Pressure always arrives in hPa
+    convertPressure(value) {
+        if (value === null || value === undefined) return null;
+        return this.pressure === 'inHg' ? value * 0.02953 : value;
+    }
+
+    // Convert metric reference values (e.g. alert thresholds) into the active units
+    fromCelsius(value) {
+        return this.temperature === 'fahrenheit' ? value * 9 / 5 + 32 : value;
+    }
+
+    fromKmh(value) {
+        const factors = { kmh: 1, mph: 1 / 1.609344, ms: 1 / 3.6, kn: 1 / 1.852 };
+        return value * factors[this.windSpeed];
+    }
+
+    fromMillimetres(value) {
+        return this.precipitation === 'inch' ? value / 25.4 : value;
     }
 
-    static getShortDayName(date) {
-        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        return days[date.getDay()];
+    roundPrecipitation(value) {
+        const decimals = this.precipitation === 'inch' ? 2 : 1;
+        const factor = Math.pow(10, decimals);
+        return Math.round((value || 0) * factor) / factor;
     }
 
-    static getWindDirection(degrees) {
-        const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
-        const index = Math.round(degrees / 22.5) % 16;
-        return directions[index];
+    roundPressure(value) {
+        if (value === null || value === undefined) return null;
+        return this.pressure === 'inHg' ? Math.round(value * 100) / 100 : Math.round(value);
     }
 }
 
-// Main weather widget UI controller
-class WeatherWidget {
-    constructor(containerId) {
-        this.container = document.getElementById(containerId);
-        this.weatherService = new WeatherService();
-        this.currentLocationInfo = null;
-        this.searchSuggestions = [];
-        this.showHourlyForecast = false;
+// Locale: message catalogs plus Intl-based formatting for numbers, dates and weekdays.
+// Picked from the browser unless a tag is given; unknown keys fall back to English.
+class Locale {
+    constructor(tag = Locale.detect()) {
+        this.tag = Locale.canonicalize(tag);
+        this.language = this.tag.split('-')[0].toLowerCase();
+        this.messages = { ...Locale.catalogs.en, ...(Locale.catalogs[this.language] || {}) };
+        this.direction = Locale.RTL_LANGUAGES.includes(this.language) ? 'rtl' : 'ltr';
+        this.formatters = new Map();
     }
 
-    async init(defaultCity = 'London') {
-        this.container.innerHTML = this.getLoadingHTML();
-        
+    static get RTL_LANGUAGES() {
+        return ['ar', 'fa', 'he', 'ur', 'ps', 'yi'];
+    }
+
+    static detect() {
+        if (typeof navigator === 'undefined') return 'en';
+        return (navigator.languages && navigator.languages[0]) || navigator.language || 'en';
+    }
+
+    static canonicalize(tag) {
         try {
-            await this.loadWeather(defaultCity);
+            return Intl.getCanonicalLocales(tag)[0] || 'en';
         } catch (error) {
-            this.showError('Failed to load initial weather data', error.message);
+            return 'en';
         }
     }
 
-    async initWithCoordinates(latitude, longitude) {
-        this.container.innerHTML = this.getLoadingHTML();
-        
-        try {
-            // Get location name from coordinates using reverse geocoding
-            const locationInfo = await this.weatherService.reverseGeocode(latitude, longitude);
-            this.currentLocationInfo = locationInfo;
-            
-            // Get weather data using coordinates
-            const weatherData = await this.weatherService.getWeatherData(latitude, longitude);
-            
-            // Validate weather data structure
-            if (!weatherData || !weatherData.current || !weatherData.daily) {
-                throw new Error('Invalid weather data received. Please try again.');
-            }
-            
-            // Process and render the data
-            const currentWeather = WeatherDataProcessor.processCurrentWeather(weatherData, locationInfo);
-            const forecast = WeatherDataProcessor.processForecast(weatherData);
-            
-            this.render(currentWeather, forecast);
-            
+    // Add or extend a catalog, e.g. Locale.register('fr', { 'details.humidity': 'Humidité' })
+    static register(language, messages) {
+        Locale.catalogs[language] = { ...(Locale.catalogs[language] || {}), ...messages };
+    }
+
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.messages, key);
+    }
+
+    // Look up a message and fill {placeholders}; numbers are formatted for the locale.
+    // A message may be an object of plural forms chosen by `params.count`.
+    t(key, params = {}) {
+        let message = this.has(key) ? this.messages[key] : key;
+        if (message && typeof message === 'object') {
+            const form = this.formatter('plural', () => new Intl.PluralRules(this.tag)).select(params.count);
+            message = message[form] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.number(value) : String(value);
+        });
+    }
+
+    formatter(key, create) {
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, create());
+        }
+        return this.formatters.get(key);
+    }
+
+    number(value, options = {}) {
+        if (value === null || value === undefined || isNaN(value)) return '';
+        return this.formatter(`number:${JSON.stringify(options)}`, () => new Intl.NumberFormat(this.tag, options)).format(value);
+    }
+
+    // "21°C"; pass no unit for the bare "21°" used in compact lists
+    temperature(value, unit = '°') {
+        return `${this.number(value)}${unit}`;
+    }
+
+    // "12 km/h", "0.4 mm"
+    measure(value, unit) {
+        return `${this.number(value)} ${unit}`;
+    }
+
+    percent(value) {
+        return this.number(value / 100, { style: 'percent' });
+    }
+
+    // 1234567 -> "1.2M" (or the locale's compact form)
+    compact(value) {
+        return this.number(value, { notation: 'compact', maximumFractionDigits: 1 });
+    }
+
+    time(epoch, options = { hour: '2-digit', minute: '2-digit' }) {
+        return new Date(epoch).toLocaleTimeString(this.tag, options);
+    }
+
+    dateTime(epoch, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Date(epoch).toLocaleString(this.tag, options);
+    }
+
+    // A "YYYY-MM-DD" calendar date, formatted in UTC so no timezone can move it to another day
+    date(localDate, options = { weekday: 'long', month: 'long', day: 'numeric' }) {
+        const [year, month, day] = localDate.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(this.tag, { ...options, timeZone: 'UTC' });
+    }
+
+    // 0-6 weekday index -> localized name; 2023-01-01 was a Sunday
+    weekday(index, style = 'long') {
+        return this.formatter(`weekday:${style}`, () => new Intl.DateTimeFormat(this.tag, { weekday: style, timeZone: 'UTC' }))
+            .format(Date.UTC(2023, 0, 1 + index));
+    }
+
+    // "5 minutes ago", "tomorrow" - falls back to plain numbers where unsupported
+    relative(value, unit) {
+        if (typeof Intl.RelativeTimeFormat !== 'function') {
+            return `${this.number(value)} ${unit}`;
+        }
+        return this.formatter('relative', () => new Intl.RelativeTimeFormat(this.tag, { numeric: 'auto' })).format(value, unit);
+    }
+
+    weatherDescription(code) {
+        const key = `weather.${code}`;
+        return this.has(key) ? this.t(key) : this.t('weather.unknown');
+    }
+
+    compass(degrees) {
+        const points = this.messages.compass;
+        return points[Math.round(degrees / 22.5) % 16];
+    }
+}
+
+// Message catalogs by language. English is complete and is the fallback for every key.
+Locale.catalogs = {
+    en: {
+        'search.label': 'Search for a city',
+        'search.placeholder': 'Enter city name...',
+        'search.placeholderCurrent': 'Search for a city... (Current: {name})',
+        'search.suggestions': 'City suggestions',
+        'search.button': 'Search',
+        'search.searching': 'Searching for cities…',
+        'search.found': {
+            one: '{count} city found. Use up and down arrows to review and Enter to select.',
+            other: '{count} cities found. Use up and down arrows to review and Enter to select.'
+        },
+        'search.none': 'No cities found for "{query}"',
+        'search.unavailable': 'City suggestions are unavailable right now. Press Enter to search anyway.',
+        'search.loading': 'Loading weather for {name}',
+        'location.population': 'pop. {population}',
+        'geo.locate': 'Use my location',
+        'geo.locatePrompt': 'Use my location (your browser will ask first)',
+        'geo.blocked': 'Location access is blocked for this site',
+        'geo.locating': 'Finding your location…',
+        'geo.accuracy': 'Your location, within {distance}',
+        'geo.watching': 'updates as you move',
+        'geo.retry': 'Try Again',
+        'geo.useDefault': 'Show {name}',
+        'geo.denied': 'Location access is blocked',
+        'geo.deniedHelp': 'Allow location access for this site in your browser settings (usually the icon next to the address), then try again - or pick a city instead.',
+        'geo.unavailable': 'Your location could not be found',
+        'geo.unavailableHelp': 'Your device could not determine where it is. Check that location services are on, or pick a city instead.',
+        'geo.timeout': 'Finding your location took too long',
+        'geo.timeoutHelp': 'Try again, or pick a city instead.',
+        'geo.unsupported': 'Location is not available here',
+        'geo.unsupportedHelp': 'This browser (or a page not served over HTTPS) cannot share your location. Search for a city instead.',
+        'current.feelsLike': 'Feels like {temperature}',
+        'current.announce': 'Weather updated for {location}: {temperature}, {description}',
+        'current.observed': 'Observed {time}',
+        'current.yourTime': '{time} your time',
+        'current.fetched': 'Fetched {time}',
+        'current.updated': 'updated {time}',
+        'current.updatedNow': 'updated just now',
+        'details.highLow': 'High / Low',
+        'details.humidity': 'Humidity',
+        'details.wind': 'Wind Speed',
+        'details.precipitation': 'Precipitation',
+        'details.pressure': 'Pressure',
+        'details.visibility': 'Visibility',
+        'details.precipitationProbability': 'Chance of Precipitation',
+        'details.gusts': 'Wind Gusts',
+        'details.dewPoint': 'Dew Point',
+        'details.uvIndex': 'UV Index',
+        'details.sunrise': 'Sunrise',
+        'details.sunset': 'Sunset',
+        'uv.low': 'Low',
+        'uv.moderate': 'Moderate',
+        'uv.high': 'High',
+        'uv.veryHigh': 'Very high',
+        'uv.extreme': 'Extreme',
+        'forecast.showDaily': 'Daily Forecast',
+        'forecast.showHourly': 'Hourly Forecast',
+        'forecast.hourlyTitle': '{count}-Hour Forecast',
+        'forecast.dailyTitle': '{count}-Day Forecast',
+        'forecast.yourTime': 'Your time',
+        'forecast.dayDetails': 'Feels like {max}/{min}, Wind: {wind}',
+        'forecast.precipitationProbability': '{percent} chance of precipitation',
+        'forecast.gusts': 'Gusts {speed}',
+        'day.previous': 'Previous day',
+        'day.next': 'Next day',
+        'day.back': 'Back to forecast',
+        'day.feelsLike': 'Feels Like',
+        'day.hourly': 'Hour by hour',
+        'day.time': 'Time',
+        'day.conditions': 'Conditions',
+        'day.probability': 'Chance',
+        'day.noHours': 'No hourly data for this day.',
+        'compare.start': 'Compare cities',
+        'compare.done': 'Done comparing',
+        'compare.title': 'Comparing places ({count}/{max})',
+        'compare.hint': 'Search above to add a city to the comparison.',
+        'compare.placeholder': 'Add a city to compare...',
+        'compare.caption': 'Daily forecast for each compared place',
+        'compare.day': 'Day',
+        'compare.added': '{name} added to the comparison',
+        'compare.removed': '{name} removed from the comparison',
+        'compare.duplicate': '{name} is already being compared',
+        'compare.full': 'You can compare up to {count} places at once.',
+        'compare.remove': 'Remove {name} from the comparison',
+        'compare.loading': 'Loading…',
+        'compare.unavailable': 'Forecast unavailable',
+        'compare.warmest': 'Warmest',
+        'compare.driest': 'Driest',
+        'compare.wind': 'Wind {speed}',
+        'compare.chartLabel': 'Daily highs (solid) and lows (dashed) for each place, between {low} and {high}',
+        'export.menu': 'Export',
+        'export.dailyCSV': 'Daily forecast (CSV)',
+        'export.hourlyCSV': 'Hourly forecast (CSV)',
+        'export.json': 'All forecast data (JSON)',
+        'export.ics': 'Calendar events (.ics)',
+        'export.copy': 'Copy summary',
+        'export.share': 'Share summary',
+        'export.downloaded': '{file} downloaded',
+        'export.copied': 'Summary copied to the clipboard',
+        'export.shared': 'Summary shared',
+        'export.failed': 'The forecast could not be exported',
+        'export.copyFailed': 'The summary could not be copied',
+        'export.shareTitle': 'Weather for {place}',
+        'export.calendarName': 'Weather for {place}',
+        'export.summaryNow': '{place}: {temperature}, {description}, feels like {feelsLike}',
+        'chart.label': 'Hourly temperature and precipitation. Use the arrow keys to move between hours.',
+        'chart.now': 'Now',
+        'chart.temperature': 'Temperature',
+        'chart.feelsLike': 'Feels like',
+        'chart.precipitation': 'Precipitation',
+        'chart.point': '{day} {time}: {description}, {temperature}, feels like {feelsLike}, precipitation {precipitation}',
+        'alerts.label': 'Weather alerts',
+        'alerts.dismiss': 'Dismiss alert: {title}',
+        'alert.wind.severe': 'Damaging winds',
+        'alert.wind.warning': 'High winds',
+        'alert.wind.message': 'Winds up to {speed} {day}',
+        'alert.rain.severe': 'Flooding rain possible',
+        'alert.rain.warning': 'Heavy rain',
+        'alert.rain.message': '{amount} of precipitation expected {day}',
+        'alert.heat.severe': 'Extreme heat',
+        'alert.heat.warning': 'Heat advisory',
+        'alert.heat.message': 'Feels like up to {temperature} {day}',
+        'alert.cold.severe': 'Extreme cold',
+        'alert.cold.warning': 'Cold advisory',
+        'alert.cold.message': 'Feels like down to {temperature} {day}',
+        'alert.thunderstorm.severe': 'Thunderstorms with hail',
+        'alert.thunderstorm.warning': 'Thunderstorms',
+        'alert.thunderstorm.from': '{description} expected from {time}',
+        'alert.thunderstorm.within': '{description} in the next {hours} hours',
+        'alert.freezing.title': 'Freezing precipitation',
+        'alert.freezing.message': '{description} - icy surfaces likely',
+        'favorites.label': 'Favorite locations',
+        'favorites.add': 'Add to favorites',
+        'favorites.removeCurrent': 'Remove from favorites',
+        'favorites.chipTitle': '{name} (Alt+←/→ to reorder)',
+        'favorites.isDefault': 'Default location (click to clear)',
+        'favorites.makeDefault': 'Make default location',
+        'favorites.clearDefault': 'Clear default location',
+        'favorites.makeDefaultNamed': 'Make {name} the default location',
+        'favorites.remove': 'Remove',
+        'favorites.removeNamed': 'Remove {name} from favorites',
+        'favorites.notificationsOn': 'Turn off alert notifications for favorites',
+        'favorites.notificationsOff': 'Notify me about severe weather at favorites',
+        'favorites.notificationsBlocked': 'Notifications are blocked. Allow them in your browser settings to get alerts for favorites.',
+        'airQuality.title': 'Air quality',
+        'airQuality.loading': 'Loading air quality…',
+        'airQuality.unavailable': 'Air quality data is unavailable right now.',
+        'airQuality.usAqi': 'US AQI',
+        'airQuality.europeanAqi': 'European AQI',
+        'airQuality.otherScale': 'European AQI {value} ({category})',
+        'airQuality.category.good': 'Good',
+        'airQuality.category.fair': 'Fair',
+        'airQuality.category.moderate': 'Moderate',
+        'airQuality.category.unhealthySensitive': 'Unhealthy for sensitive groups',
+        'airQuality.category.unhealthy': 'Unhealthy',
+        'airQuality.category.veryUnhealthy': 'Very unhealthy',
+        'airQuality.category.hazardous': 'Hazardous',
+        'airQuality.category.poor': 'Poor',
+        'airQuality.category.veryPoor': 'Very poor',
+        'airQuality.category.extremelyPoor': 'Extremely poor',
+        'airQuality.guidance.good': 'Air quality is good. A fine day to be active outside.',
+        'airQuality.guidance.fair': 'Air quality is fair. Enjoy your usual outdoor activities.',
+        'airQuality.guidance.moderate': 'Acceptable for most people. If you are unusually sensitive, consider shorter or lighter outdoor activity.',
+        'airQuality.guidance.unhealthySensitive': 'People with asthma, heart or lung disease, children and older adults should reduce long or intense outdoor exertion.',
+        'airQuality.guidance.unhealthy': 'Everyone should reduce long or intense outdoor exertion; sensitive groups should avoid it.',
+        'airQuality.guidance.veryUnhealthy': 'Health alert: avoid long outdoor exertion. Sensitive groups should stay indoors.',
+        'airQuality.guidance.hazardous': 'Health warning: everyone should avoid outdoor activity.',
+        'airQuality.guidance.poor': 'Sensitive groups should reduce outdoor activity; consider reducing intense exercise outdoors.',
+        'airQuality.guidance.veryPoor': 'Everyone should reduce outdoor exertion. Sensitive groups should avoid it.',
+        'airQuality.guidance.extremelyPoor': 'Avoid outdoor activity. Sensitive groups should stay indoors.',
+        'airQuality.pm25': 'PM2.5',
+        'airQuality.pm10': 'PM10',
+        'airQuality.ozone': 'Ozone',
+        'airQuality.pollen': 'Pollen',
+        'airQuality.pollen.alder': 'Alder',
+        'airQuality.pollen.birch': 'Birch',
+        'airQuality.pollen.grass': 'Grass',
+        'airQuality.pollen.mugwort': 'Mugwort',
+        'airQuality.pollen.olive': 'Olive',
+        'airQuality.pollen.ragweed': 'Ragweed',
+        'airQuality.pollenLevel.none': 'None',
+        'airQuality.pollenLevel.low': 'Low',
+        'airQuality.pollenLevel.moderate': 'Moderate',
+        'airQuality.pollenLevel.high': 'High',
+        'airQuality.pollenLevel.veryHigh': 'Very high',
+        'airQuality.trend': 'Next 24 hours',
+        'airQuality.trendLabel': 'Air quality over the next 24 hours, peaking at {value} ({category}) at {time}',
+        'climate.title': 'Recent weather and normals',
+        'climate.loading': 'Loading recent weather…',
+        'climate.unavailable': 'Past weather is unavailable right now.',
+        'climate.warmer': '{difference} above normal today',
+        'climate.cooler': '{difference} below normal today',
+        'climate.normal': 'Right at the normal high for today',
+        'climate.normalRange': 'Normal high {max}, low {min} ({period} average)',
+        'climate.pastDays': {
+            one: 'Past day',
+            other: 'Past {count} days'
+        },
+        'climate.precipitation': 'Total precipitation: {total}',
+        'climate.precipitationVsNormal': 'Total precipitation: {total} (normal {normal})',
+        'cache.offlineTitle': 'Showing the last known forecast',
+        'cache.offline': 'Offline · stale since {time}',
+        'cache.staleTitle': 'Refreshing in the background',
+        'cache.stale': 'Stale since {time} · updating…',
+        'units.summary': 'Units: {summary}',
+        'units.custom': '(custom)',
+        'units.metric': 'Metric',
+        'units.imperial': 'Imperial',
+        'units.temperature': 'Temperature',
+        'units.windSpeed': 'Wind',
+        'units.precipitation': 'Precipitation',
+        'units.distance': 'Visibility',
+        'units.pressure': 'Pressure',
+        'loading': 'Loading weather data...',
+        'error.tryDifferentCity': 'Try Different City',
+        'error.reload': 'Reload Widget',
+        'error.initial': 'Failed to load initial weather data',
+        'error.location': 'Failed to load location-based weather',
+        'error.emptyInput': 'Empty Input',
+        'error.emptyInputDetail': 'Please enter a city name',
+        'error.invalidInput': 'Invalid Input',
+        'error.validation': 'Invalid city name',
+        'error.not-found': 'Location not found',
+        'error.cityNotFound': 'City not found: "{name}"',
+        'error.network': 'Network connection problem',
+        'error.timeout': 'Request timed out - please try again',
+        'error.rate-limit': 'Too many requests - please wait a moment',
+        'error.server': 'Weather service is temporarily unavailable',
+        'error.malformed': 'Received unexpected data from the weather service',
+        'error.unknown': 'Failed to load weather data',
+        'errorDetail.network': 'Check your internet connection and try again.',
+        'errorDetail.timeout': 'The weather service took too long to respond.',
+        'errorDetail.rate-limit': 'The weather service is limiting requests. Retrying shortly.',
+        'errorDetail.server': 'The weather service reported an error. Retrying shortly.',
+        'errorDetail.malformed': 'Invalid weather data received. Please try again.',
+        'validation.required': 'City name is required',
+        'validation.empty': 'City name cannot be empty',
+        'validation.tooShort': 'City name must be at least 2 characters long',
+        'validation.tooLong': 'City name is too long (max 100 characters)',
+        'validation.invalidCharacters': 'City name contains invalid characters',
+        'validation.coordinates': 'Invalid coordinates provided',
+        'notFound.city': 'No results found for "{query}". Please check the spelling or try a different city name.',
+        'weather.0': 'Clear sky',
+        'weather.1': 'Mainly clear',
+        'weather.2': 'Partly cloudy',
+        'weather.3': 'Overcast',
+        'weather.45': 'Fog',
+        'weather.48': 'Depositing rime fog',
+        'weather.51': 'Light drizzle',
+        'weather.53': 'Moderate drizzle',
+        'weather.55': 'Dense drizzle',
+        'weather.56': 'Light freezing drizzle',
+        'weather.57': 'Dense freezing drizzle',
+        'weather.61': 'Slight rain',
+        'weather.63': 'Moderate rain',
+        'weather.65': 'Heavy rain',
+        'weather.66': 'Light freezing rain',
+        'weather.67': 'Heavy freezing rain',
+        'weather.71': 'Slight snow fall',
+        'weather.73': 'Moderate snow fall',
+        'weather.75': 'Heavy snow fall',
+        'weather.77': 'Snow grains',
+        'weather.80': 'Slight rain showers',
+        'weather.81': 'Moderate rain showers',
+        'weather.82': 'Violent rain showers',
+        'weather.85': 'Slight snow showers',
+        'weather.86': 'Heavy snow showers',
+        'weather.95': 'Thunderstorm',
+        'weather.96': 'Thunderstorm with slight hail',
+        'weather.99': 'Thunderstorm with heavy hail',
+        'weather.unknown': 'Unknown',
+        'compass': ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+    },
+    es: {
+        'search.label': 'Buscar una ciudad',
+        'search.placeholder': 'Nombre de la ciudad...',
+        'search.placeholderCurrent': 'Buscar una ciudad... (Actual: {name})',
+        'search.suggestions': 'Sugerencias de ciudades',
+        'search.button': 'Buscar',
+        'search.searching': 'Buscando ciudades…',
+        'search.found': {
+            one: '{count} ciudad encontrada. Usa las flechas arriba y abajo para revisar y Enter para elegir.',
+            other: '{count} ciudades encontradas. Usa las flechas arriba y abajo para revisar y Enter para elegir.'
+        },
+        'search.none': 'No se encontraron ciudades para "{query}"',
+        'search.unavailable': 'Las sugerencias no están disponibles ahora. Pulsa Enter para buscar de todos modos.',
+        'search.loading': 'Cargando el tiempo para {name}',
+        'location.population': '{population} hab.',
+        'geo.locate': 'Usar mi ubicación',
+        'geo.locatePrompt': 'Usar mi ubicación (el navegador pedirá permiso)',
+        'geo.blocked': 'El acceso a la ubicación está bloqueado para este sitio',
+        'geo.locating': 'Buscando tu ubicación…',
+        'geo.accuracy': 'Tu ubicación, con una precisión de {distance}',
+        'geo.watching': 'se actualiza al desplazarte',
+        'geo.retry': 'Reintentar',
+        'geo.useDefault': 'Mostrar {name}',
+        'geo.denied': 'El acceso a la ubicación está bloqueado',
+        'geo.deniedHelp': 'Permite el acceso a la ubicación para este sitio en la configuración del navegador (normalmente el icono junto a la dirección) y vuelve a intentarlo, o elige una ciudad.',
+        'geo.unavailable': 'No se pudo encontrar tu ubicación',
+        'geo.unavailableHelp': 'Tu dispositivo no pudo determinar dónde está. Comprueba que los servicios de ubicación estén activados o elige una ciudad.',
+        'geo.timeout': 'Buscar tu ubicación tardó demasiado',
+        'geo.timeoutHelp': 'Vuelve a intentarlo o elige una ciudad.',
+        'geo.unsupported': 'La ubicación no está disponible aquí',
+        'geo.unsupportedHelp': 'Este navegador (o una página sin HTTPS) no puede compartir tu ubicación. Busca una ciudad.',
+        'current.feelsLike': 'Sensación de {temperature}',
+        'current.announce': 'Tiempo actualizado para {location}: {temperature}, {description}',
+        'current.observed': 'Observado a las {time}',
+        'current.yourTime': '{time} en tu hora',
+        'current.fetched': 'Obtenido {time}',
+        'current.updated': 'actualizado {time}',
+        'current.updatedNow': 'actualizado ahora mismo',
+        'details.highLow': 'Máx. / Mín.',
+        'details.humidity': 'Humedad',
+        'details.wind': 'Viento',
+        'details.precipitation': 'Precipitación',
+        'details.pressure': 'Presión',
+        'details.visibility': 'Visibilidad',
+        'details.precipitationProbability': 'Prob. de precipitación',
+        'details.gusts': 'Rachas',
+        'details.dewPoint': 'Punto de rocío',
+        'details.uvIndex': 'Índice UV',
+        'details.sunrise': 'Amanecer',
+        'details.sunset': 'Atardecer',
+        'uv.low': 'Bajo',
+        'uv.moderate': 'Moderado',
+        'uv.high': 'Alto',
+        'uv.veryHigh': 'Muy alto',
+        'uv.extreme': 'Extremo',
+        'forecast.showDaily': 'Pronóstico diario',
+        'forecast.showHourly': 'Pronóstico por horas',
+        'forecast.hourlyTitle': 'Pronóstico de {count} horas',
+        'forecast.dailyTitle': 'Pronóstico de {count} días',
+        'forecast.yourTime': 'Tu hora',
+        'forecast.dayDetails': 'Sensación {max}/{min}, viento: {wind}',
+        'forecast.precipitationProbability': '{percent} de probabilidad de precipitación',
+        'forecast.gusts': 'Rachas de {speed}',
+        'day.previous': 'Día anterior',
+        'day.next': 'Día siguiente',
+        'day.back': 'Volver al pronóstico',
+        'day.feelsLike': 'Sensación térmica',
+        'day.hourly': 'Hora a hora',
+        'day.time': 'Hora',
+        'day.conditions': 'Condiciones',
+        'day.probability': 'Probabilidad',
+        'day.noHours': 'No hay datos por horas para este día.',
+        'compare.start': 'Comparar ciudades',
+        'compare.done': 'Terminar comparación',
+        'compare.title': 'Comparando lugares ({count}/{max})',
+        'compare.hint': 'Busca arriba para añadir una ciudad a la comparación.',
+        'compare.placeholder': 'Añadir una ciudad para comparar...',
+        'compare.caption': 'Pronóstico diario de cada lugar comparado',
+        'compare.day': 'Día',
+        'compare.added': '{name} añadida a la comparación',
+        'compare.removed': '{name} quitada de la comparación',
+        'compare.duplicate': '{name} ya está en la comparación',
+        'compare.full': 'Puedes comparar hasta {count} lugares a la vez.',
+        'compare.remove': 'Quitar {name} de la comparación',
+        'compare.loading': 'Cargando…',
+        'compare.unavailable': 'Pronóstico no disponible',
+        'compare.warmest': 'Más cálido',
+        'compare.driest': 'Más seco',
+        'compare.wind': 'Viento {speed}',
+        'compare.chartLabel': 'Máximas (línea continua) y mínimas (discontinua) diarias de cada lugar, entre {low} y {high}',
+        'export.menu': 'Exportar',
+        'export.dailyCSV': 'Pronóstico diario (CSV)',
+        'export.hourlyCSV': 'Pronóstico por horas (CSV)',
+        'export.json': 'Todos los datos del pronóstico (JSON)',
+        'export.ics': 'Eventos de calendario (.ics)',
+        'export.copy': 'Copiar resumen',
+        'export.share': 'Compartir resumen',
+        'export.downloaded': '{file} descargado',
+        'export.copied': 'Resumen copiado al portapapeles',
+        'export.shared': 'Resumen compartido',
+        'export.failed': 'No se pudo exportar el pronóstico',
+        'export.copyFailed': 'No se pudo copiar el resumen',
+        'export.shareTitle': 'El tiempo en {place}',
+        'export.calendarName': 'El tiempo en {place}',
+        'export.summaryNow': '{place}: {temperature}, {description}, sensación de {feelsLike}',
+        'chart.label': 'Temperatura y precipitación por hora. Usa las flechas para moverte entre las horas.',
+        'chart.now': 'Ahora',
+        'chart.temperature': 'Temperatura',
+        'chart.feelsLike': 'Sensación',
+        'chart.precipitation': 'Precipitación',
+        'chart.point': '{day} {time}: {description}, {temperature}, sensación {feelsLike}, precipitación {precipitation}',
+        'alerts.label': 'Alertas meteorológicas',
+        'alerts.dismiss': 'Descartar alerta: {title}',
+        'alert.wind.severe': 'Vientos dañinos',
+        'alert.wind.warning': 'Vientos fuertes',
+        'alert.wind.message': 'Vientos de hasta {speed} {day}',
+        'alert.rain.severe': 'Posibles inundaciones por lluvia',
+        'alert.rain.warning': 'Lluvia intensa',
+        'alert.rain.message': 'Se esperan {amount} de precipitación {day}',
+        'alert.heat.severe': 'Calor extremo',
+        'alert.heat.warning': 'Aviso por calor',
+        'alert.heat.message': 'Sensación térmica de hasta {temperature} {day}',
+        'alert.cold.severe': 'Frío extremo',
+        'alert.cold.warning': 'Aviso por frío',
+        'alert.cold.message': 'Sensación térmica de hasta {temperature} {day}',
+        'alert.thunderstorm.severe': 'Tormentas con granizo',
+        'alert.thunderstorm.warning': 'Tormentas',
+        'alert.thunderstorm.from': '{description} a partir de las {time}',
+        'alert.thunderstorm.within': '{description} en las próximas {hours} horas',
+        'alert.freezing.title': 'Precipitación engelante',
+        'alert.freezing.message': '{description}: probables superficies heladas',
+        'favorites.label': 'Ubicaciones favoritas',
+        'favorites.add': 'Añadir a favoritos',
+        'favorites.removeCurrent': 'Quitar de favoritos',
+        'favorites.chipTitle': '{name} (Alt+←/→ para reordenar)',
+        'favorites.isDefault': 'Ubicación predeterminada (clic para quitar)',
+        'favorites.makeDefault': 'Usar como ubicación predeterminada',
+        'favorites.clearDefault': 'Quitar ubicación predeterminada',
+        'favorites.makeDefaultNamed': 'Usar {name} como ubicación predeterminada',
+        'favorites.remove': 'Quitar',
+        'favorites.removeNamed': 'Quitar {name} de favoritos',
+        'favorites.notificationsOn': 'Desactivar avisos de alertas para favoritos',
+        'favorites.notificationsOff': 'Avisarme de tiempo severo en mis favoritos',
+        'favorites.notificationsBlocked': 'Las notificaciones están bloqueadas. Permítelas en la configuración del navegador para recibir alertas.',
+        'airQuality.title': 'Calidad del aire',
+        'airQuality.loading': 'Cargando la calidad del aire…',
+        'airQuality.unavailable': 'Los datos de calidad del aire no están disponibles ahora.',
+        'airQuality.usAqi': 'ICA (EE. UU.)',
+        'airQuality.europeanAqi': 'ICA europeo',
+        'airQuality.otherScale': 'ICA europeo {value} ({category})',
+        'airQuality.category.good': 'Buena',
+        'airQuality.category.fair': 'Aceptable',
+        'airQuality.category.moderate': 'Moderada',
+        'airQuality.category.unhealthySensitive': 'Dañina para grupos sensibles',
+        'airQuality.category.unhealthy': 'Dañina',
+        'airQuality.category.veryUnhealthy': 'Muy dañina',
+        'airQuality.category.hazardous': 'Peligrosa',
+        'airQuality.category.poor': 'Mala',
+        'airQuality.category.veryPoor': 'Muy mala',
+        'airQuality.category.extremelyPoor': 'Extremadamente mala',
+        'airQuality.guidance.good': 'La calidad del aire es buena. Un buen día para actividades al aire libre.',
+        'airQuality.guidance.fair': 'La calidad del aire es aceptable. Puedes seguir con tus actividades habituales.',
+        'airQuality.guidance.moderate': 'Aceptable para la mayoría. Si eres especialmente sensible, reduce la actividad intensa al aire libre.',
+        'airQuality.guidance.unhealthySensitive': 'Personas con asma o enfermedades cardíacas o pulmonares, niños y mayores deben reducir el esfuerzo prolongado al aire libre.',
+        'airQuality.guidance.unhealthy': 'Todos deben reducir el esfuerzo prolongado al aire libre; los grupos sensibles deben evitarlo.',
+        'airQuality.guidance.veryUnhealthy': 'Alerta sanitaria: evita el esfuerzo prolongado al aire libre. Los grupos sensibles deben permanecer en interiores.',
+        'airQuality.guidance.hazardous': 'Advertencia sanitaria: todos deben evitar la actividad al aire libre.',
+        'airQuality.guidance.poor': 'Los grupos sensibles deben reducir la actividad al aire libre; considera evitar el ejercicio intenso.',
+        'airQuality.guidance.veryPoor': 'Todos deben reducir el esfuerzo al aire libre. Los grupos sensibles deben evitarlo.',
+        'airQuality.guidance.extremelyPoor': 'Evita la actividad al aire libre. Los grupos sensibles deben permanecer en interiores.',
+        'airQuality.pm25': 'PM2,5',
+        'airQuality.pm10': 'PM10',
+        'airQuality.ozone': 'Ozono',
+        'airQuality.pollen': 'Polen',
+        'airQuality.pollen.alder': 'Aliso',
+        'airQuality.pollen.birch': 'Abedul',
+        'airQuality.pollen.grass': 'Gramíneas',
+        'airQuality.pollen.mugwort': 'Artemisa',
+        'airQuality.pollen.olive': 'Olivo',
+        'airQuality.pollen.ragweed': 'Ambrosía',
+        'airQuality.pollenLevel.none': 'Nulo',
+        'airQuality.pollenLevel.low': 'Bajo',
+        'airQuality.pollenLevel.moderate': 'Moderado',
+        'airQuality.pollenLevel.high': 'Alto',
+        'airQuality.pollenLevel.veryHigh': 'Muy alto',
+        'airQuality.trend': 'Próximas 24 horas',
+        'airQuality.trendLabel': 'Calidad del aire en las próximas 24 horas, con un máximo de {value} ({category}) a las {time}',
+        'climate.title': 'Tiempo reciente y valores normales',
+        'climate.loading': 'Cargando el tiempo reciente…',
+        'climate.unavailable': 'El tiempo pasado no está disponible ahora.',
+        'climate.warmer': '{difference} sobre lo normal hoy',
+        'climate.cooler': '{difference} bajo lo normal hoy',
+        'climate.normal': 'Justo en la máxima normal para hoy',
+        'climate.normalRange': 'Máxima normal {max}, mínima {min} (media {period})',
+        'climate.pastDays': {
+            one: 'Último día',
+            other: 'Últimos {count} días'
+        },
+        'climate.precipitation': 'Precipitación total: {total}',
+        'climate.precipitationVsNormal': 'Precipitación total: {total} (normal {normal})',
+        'cache.offlineTitle': 'Mostrando el último pronóstico conocido',
+        'cache.offline': 'Sin conexión · desactualizado desde las {time}',
+        'cache.staleTitle': 'Actualizando en segundo plano',
+        'cache.stale': 'Desactualizado desde las {time} · actualizando…',
+        'units.summary': 'Unidades: {summary}',
+        'units.custom': '(personalizadas)',
+        'units.metric': 'Métrico',
+        'units.imperial': 'Imperial',
+        'units.temperature': 'Temperatura',
+        'units.windSpeed': 'Viento',
+        'units.precipitation': 'Precipitación',
+        'units.distance': 'Visibilidad',
+        'units.pressure': 'Presión',
+        'loading': 'Cargando datos del tiempo...',
+        'error.tryDifferentCity': 'Probar otra ciudad',
+        'error.reload': 'Recargar',
+        'error.initial': 'No se pudo cargar el tiempo inicial',
+        'error.location': 'No se pudo cargar el tiempo de tu ubicación',
+        'error.emptyInput': 'Búsqueda vacía',
+        'error.emptyInputDetail': 'Escribe el nombre de una ciudad',
+        'error.invalidInput': 'Búsqueda no válida',
+        'error.validation': 'Nombre de ciudad no válido',
+        'error.not-found': 'Ubicación no encontrada',
+        'error.cityNotFound': 'Ciudad no encontrada: "{name}"',
+        'error.network': 'Problema de conexión',
+        'error.timeout': 'La solicitud tardó demasiado; inténtalo de nuevo',
+        'error.rate-limit': 'Demasiadas solicitudes; espera un momento',
+        'error.server': 'El servicio meteorológico no está disponible temporalmente',
+        'error.malformed': 'Se recibieron datos inesperados del servicio meteorológico',
+        'error.unknown': 'No se pudieron cargar los datos del tiempo',
+        'errorDetail.network': 'Comprueba tu conexión a internet e inténtalo de nuevo.',
+        'errorDetail.timeout': 'El servicio meteorológico tardó demasiado en responder.',
+        'errorDetail.rate-limit': 'El servicio está limitando las solicitudes. Se reintentará en breve.',
+        'errorDetail.server': 'El servicio meteorológico informó de un error. Se reintentará en breve.',
+        'errorDetail.malformed': 'Se recibieron datos no válidos. Inténtalo de nuevo.',
+        'validation.required': 'El nombre de la ciudad es obligatorio',
+        'validation.empty': 'El nombre de la ciudad no puede estar vacío',
+        'validation.tooShort': 'El nombre de la ciudad debe tener al menos 2 caracteres',
+        'validation.tooLong': 'El nombre de la ciudad es demasiado largo (máx. 100 caracteres)',
+        'validation.invalidCharacters': 'El nombre de la ciudad contiene caracteres no válidos',
+        'validation.coordinates': 'Coordenadas no válidas',
+        'notFound.city': 'No hay resultados para "{query}". Revisa la ortografía o prueba otra ciudad.',
+        'weather.0': 'Despejado',
+        'weather.1': 'Mayormente despejado',
+        'weather.2': 'Parcialmente nublado',
+        'weather.3': 'Cubierto',
+        'weather.45': 'Niebla',
+        'weather.48': 'Niebla con escarcha',
+        'weather.51': 'Llovizna ligera',
+        'weather.53': 'Llovizna moderada',
+        'weather.55': 'Llovizna densa',
+        'weather.56': 'Llovizna helada ligera',
+        'weather.57': 'Llovizna helada densa',
+        'weather.61': 'Lluvia ligera',
+        'weather.63': 'Lluvia moderada',
+        'weather.65': 'Lluvia intensa',
+        'weather.66': 'Lluvia helada ligera',
+        'weather.67': 'Lluvia helada intensa',
+        'weather.71': 'Nevada ligera',
+        'weather.73': 'Nevada moderada',
+        'weather.75': 'Nevada intensa',
+        'weather.77': 'Granos de nieve',
+        'weather.80': 'Chubascos ligeros',
+        'weather.81': 'Chubascos moderados',
+        'weather.82': 'Chubascos violentos',
+        'weather.85': 'Chubascos de nieve ligeros',
+        'weather.86': 'Chubascos de nieve intensos',
+        'weather.95': 'Tormenta',
+        'weather.96': 'Tormenta con granizo ligero',
+        'weather.99': 'Tormenta con granizo fuerte',
+        'weather.unknown': 'Desconocido',
+        'compass': ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSO', 'SO', 'OSO', 'O', 'ONO', 'NO', 'NNO']
+    },
+    de: {
+        'search.label': 'Nach einer Stadt suchen',
+        'search.placeholder': 'Stadtname eingeben...',
+        'search.placeholderCurrent': 'Nach einer Stadt suchen... (Aktuell: {name})',
+        'search.suggestions': 'Vorgeschlagene Städte',
+        'search.button': 'Suchen',
+        'search.searching': 'Städte werden gesucht…',
+        'search.found': {
+            one: '{count} Stadt gefunden. Mit den Pfeiltasten auswählen und mit Enter bestätigen.',
+            other: '{count} Städte gefunden. Mit den Pfeiltasten auswählen und mit Enter bestätigen.'
+        },
+        'search.none': 'Keine Städte gefunden für „{query}“',
+        'search.unavailable': 'Vorschläge sind gerade nicht verfügbar. Mit Enter trotzdem suchen.',
+        'search.loading': 'Wetter für {name} wird geladen',
+        'location.population': '{population} Einw.',
+        'geo.locate': 'Meinen Standort verwenden',
+        'geo.locatePrompt': 'Meinen Standort verwenden (der Browser fragt vorher)',
+        'geo.blocked': 'Der Standortzugriff ist für diese Seite blockiert',
+        'geo.locating': 'Standort wird ermittelt…',
+        'geo.accuracy': 'Dein Standort, auf {distance} genau',
+        'geo.watching': 'wird unterwegs aktualisiert',
+        'geo.retry': 'Erneut versuchen',
+        'geo.useDefault': '{name} anzeigen',
+        'geo.denied': 'Standortzugriff blockiert',
+        'geo.deniedHelp': 'Erlaube den Standortzugriff für diese Seite in den Browsereinstellungen (meist das Symbol neben der Adresse) und versuche es erneut - oder wähle eine Stadt.',
+        'geo.unavailable': 'Dein Standort wurde nicht gefunden',
+        'geo.unavailableHelp': 'Dein Gerät konnte seine Position nicht bestimmen. Prüfe, ob die Ortungsdienste aktiv sind, oder wähle eine Stadt.',
+        'geo.timeout': 'Die Standortsuche hat zu lange gedauert',
+        'geo.timeoutHelp': 'Versuche es erneut oder wähle eine Stadt.',
+        'geo.unsupported': 'Standort hier nicht verfügbar',
+        'geo.unsupportedHelp': 'Dieser Browser (oder eine Seite ohne HTTPS) kann deinen Standort nicht teilen. Suche stattdessen nach einer Stadt.',
+        'current.feelsLike': 'Gefühlt {temperature}',
+        'current.announce': 'Wetter für {location} aktualisiert: {temperature}, {description}',
+        'current.observed': 'Gemessen {time}',
+        'current.yourTime': '{time} deine Zeit',
+        'current.fetched': 'Abgerufen {time}',
+        'current.updated': 'aktualisiert {time}',
+        'current.updatedNow': 'gerade aktualisiert',
+        'details.highLow': 'Max. / Min.',
+        'details.humidity': 'Luftfeuchtigkeit',
+        'details.wind': 'Wind',
+        'details.precipitation': 'Niederschlag',
+        'details.pressure': 'Luftdruck',
+        'details.visibility': 'Sichtweite',
+        'details.precipitationProbability': 'Niederschlagsrisiko',
+        'details.gusts': 'Böen',
+        'details.dewPoint': 'Taupunkt',
+        'details.uvIndex': 'UV-Index',
+        'details.sunrise': 'Sonnenaufgang',
+        'details.sunset': 'Sonnenuntergang',
+        'uv.low': 'Niedrig',
+        'uv.moderate': 'Mäßig',
+        'uv.high': 'Hoch',
+        'uv.veryHigh': 'Sehr hoch',
+        'uv.extreme': 'Extrem',
+        'forecast.showDaily': 'Tagesvorhersage',
+        'forecast.showHourly': 'Stündliche Vorhersage',
+        'forecast.hourlyTitle': '{count}-Stunden-Vorhersage',
+        'forecast.dailyTitle': '{count}-Tage-Vorhersage',
+        'forecast.yourTime': 'Deine Zeit',
+        'forecast.dayDetails': 'Gefühlt {max}/{min}, Wind: {wind}',
+        'forecast.precipitationProbability': '{percent} Niederschlagsrisiko',
+        'forecast.gusts': 'Böen {speed}',
+        'day.previous': 'Vorheriger Tag',
+        'day.next': 'Nächster Tag',
+        'day.back': 'Zurück zur Vorhersage',
+        'day.feelsLike': 'Gefühlt',
+        'day.hourly': 'Stunde für Stunde',
+        'day.time': 'Uhrzeit',
+        'day.conditions': 'Wetter',
+        'day.probability': 'Wahrscheinlichkeit',
+        'day.noHours': 'Für diesen Tag liegen keine stündlichen Daten vor.',
+        'compare.start': 'Städte vergleichen',
+        'compare.done': 'Vergleich beenden',
+        'compare.title': 'Orte im Vergleich ({count}/{max})',
+        'compare.hint': 'Oben suchen, um eine Stadt zum Vergleich hinzuzufügen.',
+        'compare.placeholder': 'Stadt zum Vergleichen hinzufügen...',
+        'compare.caption': 'Tagesvorhersage für jeden verglichenen Ort',
+        'compare.day': 'Tag',
+        'compare.added': '{name} zum Vergleich hinzugefügt',
+        'compare.removed': '{name} aus dem Vergleich entfernt',
+        'compare.duplicate': '{name} wird bereits verglichen',
+        'compare.full': 'Es können bis zu {count} Orte gleichzeitig verglichen werden.',
+        'compare.remove': '{name} aus dem Vergleich entfernen',
+        'compare.loading': 'Wird geladen…',
+        'compare.unavailable': 'Vorhersage nicht verfügbar',
+        'compare.warmest': 'Am wärmsten',
+        'compare.driest': 'Am trockensten',
+        'compare.wind': 'Wind {speed}',
+        'compare.chartLabel': 'Tageshöchstwerte (durchgezogen) und Tiefstwerte (gestrichelt) je Ort, zwischen {low} und {high}',
+        'export.menu': 'Exportieren',
+        'export.dailyCSV': 'Tagesvorhersage (CSV)',
+        'export.hourlyCSV': 'Stündliche Vorhersage (CSV)',
+        'export.json': 'Alle Vorhersagedaten (JSON)',
+        'export.ics': 'Kalendereinträge (.ics)',
+        'export.copy': 'Zusammenfassung kopieren',
+        'export.share': 'Zusammenfassung teilen',
+        'export.downloaded': '{file} heruntergeladen',
+        'export.copied': 'Zusammenfassung in die Zwischenablage kopiert',
+        'export.shared': 'Zusammenfassung geteilt',
+        'export.failed': 'Die Vorhersage konnte nicht exportiert werden',
+        'export.copyFailed': 'Die Zusammenfassung konnte nicht kopiert werden',
+        'export.shareTitle': 'Wetter für {place}',
+        'export.calendarName': 'Wetter für {place}',
+        'export.summaryNow': '{place}: {temperature}, {description}, gefühlt {feelsLike}',
+        'chart.label': 'Stündliche Temperatur und Niederschlag. Mit den Pfeiltasten zwischen den Stunden wechseln.',
+        'chart.now': 'Jetzt',
+        'chart.temperature': 'Temperatur',
+        'chart.feelsLike': 'Gefühlt',
+        'chart.precipitation': 'Niederschlag',
+        'chart.point': '{day} {time}: {description}, {temperature}, gefühlt {feelsLike}, Niederschlag {precipitation}',
+        'alerts.label': 'Wetterwarnungen',
+        'alerts.dismiss': 'Warnung schließen: {title}',
+        'alert.wind.severe': 'Orkanartige Böen',
+        'alert.wind.warning': 'Starker Wind',
+        'alert.wind.message': 'Wind bis {speed} {day}',
+        'alert.rain.severe': 'Überflutungen möglich',
+        'alert.rain.warning': 'Starkregen',
+        'alert.rain.message': '{amount} Niederschlag erwartet {day}',
+        'alert.heat.severe': 'Extreme Hitze',
+        'alert.heat.warning': 'Hitzewarnung',
+        'alert.heat.message': 'Gefühlt bis zu {temperature} {day}',
+        'alert.cold.severe': 'Extreme Kälte',
+        'alert.cold.warning': 'Kältewarnung',
+        'alert.cold.message': 'Gefühlt bis zu {temperature} {day}',
+        'alert.thunderstorm.severe': 'Gewitter mit Hagel',
+        'alert.thunderstorm.warning': 'Gewitter',
+        'alert.thunderstorm.from': '{description} ab {time} erwartet',
+        'alert.thunderstorm.within': '{description} in den nächsten {hours} Stunden',
+        'alert.freezing.title': 'Gefrierender Niederschlag',
+        'alert.freezing.message': '{description} – Glättegefahr',
+        'favorites.label': 'Favoriten',
+        'favorites.add': 'Zu Favoriten hinzufügen',
+        'favorites.removeCurrent': 'Aus Favoriten entfernen',
+        'favorites.chipTitle': '{name} (Alt+←/→ zum Sortieren)',
+        'favorites.isDefault': 'Standardort (klicken zum Entfernen)',
+        'favorites.makeDefault': 'Als Standardort festlegen',
+        'favorites.clearDefault': 'Standardort entfernen',
+        'favorites.makeDefaultNamed': '{name} als Standardort festlegen',
+        'favorites.remove': 'Entfernen',
+        'favorites.removeNamed': '{name} aus Favoriten entfernen',
+        'favorites.notificationsOn': 'Warnbenachrichtigungen für Favoriten ausschalten',
+        'favorites.notificationsOff': 'Bei Unwetter an Favoriten benachrichtigen',
+        'favorites.notificationsBlocked': 'Benachrichtigungen sind blockiert. Erlaube sie in den Browsereinstellungen, um Warnungen zu erhalten.',
+        'airQuality.title': 'Luftqualität',
+        'airQuality.loading': 'Luftqualität wird geladen…',
+        'airQuality.unavailable': 'Luftqualitätsdaten sind gerade nicht verfügbar.',
+        'airQuality.usAqi': 'US-AQI',
+        'airQuality.europeanAqi': 'Europäischer AQI',
+        'airQuality.otherScale': 'Europäischer AQI {value} ({category})',
+        'airQuality.category.good': 'Gut',
+        'airQuality.category.fair': 'Ausreichend',
+        'airQuality.category.moderate': 'Mäßig',
+        'airQuality.category.unhealthySensitive': 'Ungesund für empfindliche Gruppen',
+        'airQuality.category.unhealthy': 'Ungesund',
+        'airQuality.category.veryUnhealthy': 'Sehr ungesund',
+        'airQuality.category.hazardous': 'Gefährlich',
+        'airQuality.category.poor': 'Schlecht',
+        'airQuality.category.veryPoor': 'Sehr schlecht',
+        'airQuality.category.extremelyPoor': 'Extrem schlecht',
+        'airQuality.guidance.good': 'Die Luftqualität ist gut. Ein guter Tag für Aktivitäten im Freien.',
+        'airQuality.guidance.fair': 'Die Luftqualität ist ausreichend. Gewohnte Aktivitäten im Freien sind unbedenklich.',
+        'airQuality.guidance.moderate': 'Für die meisten unbedenklich. Besonders Empfindliche sollten lange Anstrengung im Freien einschränken.',
+        'airQuality.guidance.unhealthySensitive': 'Menschen mit Asthma, Herz- oder Lungenerkrankungen, Kinder und Ältere sollten lange oder intensive Anstrengung im Freien reduzieren.',
+        'airQuality.guidance.unhealthy': 'Alle sollten lange Anstrengung im Freien reduzieren; empfindliche Gruppen sollten sie meiden.',
+        'airQuality.guidance.veryUnhealthy': 'Gesundheitswarnung: lange Anstrengung im Freien meiden. Empfindliche Gruppen sollten drinnen bleiben.',
+        'airQuality.guidance.hazardous': 'Gesundheitswarnung: Alle sollten Aktivitäten im Freien meiden.',
+        'airQuality.guidance.poor': 'Empfindliche Gruppen sollten Aktivitäten im Freien einschränken und auf intensiven Sport verzichten.',
+        'airQuality.guidance.veryPoor': 'Alle sollten Anstrengung im Freien reduzieren. Empfindliche Gruppen sollten sie meiden.',
+        'airQuality.guidance.extremelyPoor': 'Aktivitäten im Freien meiden. Empfindliche Gruppen sollten drinnen bleiben.',
+        'airQuality.pm25': 'PM2,5',
+        'airQuality.pm10': 'PM10',
+        'airQuality.ozone': 'Ozon',
+        'airQuality.pollen': 'Pollen',
+        'airQuality.pollen.alder': 'Erle',
+        'airQuality.pollen.birch': 'Birke',
+        'airQuality.pollen.grass': 'Gräser',
+        'airQuality.pollen.mugwort': 'Beifuß',
+        'airQuality.pollen.olive': 'Olive',
+        'airQuality.pollen.ragweed': 'Ambrosia',
+        'airQuality.pollenLevel.none': 'Keine',
+        'airQuality.pollenLevel.low': 'Gering',
+        'airQuality.pollenLevel.moderate': 'Mäßig',
+        'airQuality.pollenLevel.high': 'Hoch',
+        'airQuality.pollenLevel.veryHigh': 'Sehr hoch',
+        'airQuality.trend': 'Nächste 24 Stunden',
+        'airQuality.trendLabel': 'Luftqualität in den nächsten 24 Stunden, Höchstwert {value} ({category}) um {time}',
+        'climate.title': 'Letzte Tage und Normalwerte',
+        'climate.loading': 'Wetter der letzten Tage wird geladen…',
+        'climate.unavailable': 'Vergangene Wetterdaten sind gerade nicht verfügbar.',
+        'climate.warmer': '{difference} über dem Normalwert heute',
+        'climate.cooler': '{difference} unter dem Normalwert heute',
+        'climate.normal': 'Genau beim normalen Höchstwert für heute',
+        'climate.normalRange': 'Normal: Höchstwert {max}, Tiefstwert {min} (Mittel {period})',
+        'climate.pastDays': {
+            one: 'Letzter Tag',
+            other: 'Letzte {count} Tage'
+        },
+        'climate.precipitation': 'Niederschlag gesamt: {total}',
+        'climate.precipitationVsNormal': 'Niederschlag gesamt: {total} (normal {normal})',
+        'cache.offlineTitle': 'Letzte bekannte Vorhersage',
+        'cache.offline': 'Offline · Stand {time}',
+        'cache.staleTitle': 'Wird im Hintergrund aktualisiert',
+        'cache.stale': 'Stand {time} · wird aktualisiert…',
+        'units.summary': 'Einheiten: {summary}',
+        'units.custom': '(benutzerdefiniert)',
+        'units.metric': 'Metrisch',
+        'units.imperial': 'Imperial',
+        'units.temperature': 'Temperatur',
+        'units.windSpeed': 'Wind',
+        'units.precipitation': 'Niederschlag',
+        'units.distance': 'Sichtweite',
+        'units.pressure': 'Luftdruck',
+        'loading': 'Wetterdaten werden geladen...',
+        'error.tryDifferentCity': 'Andere Stadt suchen',
+        'error.reload': 'Neu laden',
+        'error.initial': 'Wetterdaten konnten nicht geladen werden',
+        'error.location': 'Wetter für deinen Standort konnte nicht geladen werden',
+        'error.emptyInput': 'Leere Eingabe',
+        'error.emptyInputDetail': 'Bitte einen Stadtnamen eingeben',
+        'error.invalidInput': 'Ungültige Eingabe',
+        'error.validation': 'Ungültiger Stadtname',
+        'error.not-found': 'Ort nicht gefunden',
+        'error.cityNotFound': 'Stadt nicht gefunden: „{name}“',
+        'error.network': 'Verbindungsproblem',
+        'error.timeout': 'Zeitüberschreitung – bitte erneut versuchen',
+        'error.rate-limit': 'Zu viele Anfragen – bitte kurz warten',
+        'error.server': 'Der Wetterdienst ist vorübergehend nicht erreichbar',
+        'error.malformed': 'Unerwartete Daten vom Wetterdienst erhalten',
+        'error.unknown': 'Wetterdaten konnten nicht geladen werden',
+        'errorDetail.network': 'Prüfe deine Internetverbindung und versuche es erneut.',
+        'errorDetail.timeout': 'Der Wetterdienst hat zu lange gebraucht.',
+        'errorDetail.rate-limit': 'Der Wetterdienst begrenzt Anfragen. Neuer Versuch in Kürze.',
+        'errorDetail.server': 'Der Wetterdienst hat einen Fehler gemeldet. Neuer Versuch in Kürze.',
+        'errorDetail.malformed': 'Ungültige Wetterdaten erhalten. Bitte erneut versuchen.',
+        'validation.required': 'Stadtname ist erforderlich',
+        'validation.empty': 'Stadtname darf nicht leer sein',
+        'validation.tooShort': 'Stadtname muss mindestens 2 Zeichen lang sein',
+        'validation.tooLong': 'Stadtname ist zu lang (max. 100 Zeichen)',
+        'validation.invalidCharacters': 'Stadtname enthält ungültige Zeichen',
+        'validation.coordinates': 'Ungültige Koordinaten',
+        'notFound.city': 'Keine Ergebnisse für „{query}“. Bitte Schreibweise prüfen oder eine andere Stadt versuchen.',
+        'weather.0': 'Klar',
+        'weather.1': 'Überwiegend klar',
+        'weather.2': 'Teilweise bewölkt',
+        'weather.3': 'Bedeckt',
+        'weather.45': 'Nebel',
+        'weather.48': 'Raureifnebel',
+        'weather.51': 'Leichter Nieselregen',
+        'weather.53': 'Mäßiger Nieselregen',
+        'weather.55': 'Starker Nieselregen',
+        'weather.56': 'Leichter gefrierender Nieselregen',
+        'weather.57': 'Starker gefrierender Nieselregen',
+        'weather.61': 'Leichter Regen',
+        'weather.63': 'Mäßiger Regen',
+        'weather.65': 'Starker Regen',
+        'weather.66': 'Leichter gefrierender Regen',
+        'weather.67': 'Starker gefrierender Regen',
+        'weather.71': 'Leichter Schneefall',
+        'weather.73': 'Mäßiger Schneefall',
+        'weather.75': 'Starker Schneefall',
+        'weather.77': 'Schneegriesel',
+        'weather.80': 'Leichte Regenschauer',
+        'weather.81': 'Mäßige Regenschauer',
+        'weather.82': 'Heftige Regenschauer',
+        'weather.85': 'Leichte Schneeschauer',
+        'weather.86': 'Starke Schneeschauer',
+        'weather.95': 'Gewitter',
+        'weather.96': 'Gewitter mit leichtem Hagel',
+        'weather.99': 'Gewitter mit starkem Hagel',
+        'weather.unknown': 'Unbekannt',
+        'compass': ['N', 'NNO', 'NO', 'ONO', 'O', 'OSO', 'SO', 'SSO', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+    },
+    ar: {
+        'search.label': 'ابحث عن مدينة',
+        'search.placeholder': 'أدخل اسم المدينة...',
+        'search.placeholderCurrent': 'ابحث عن مدينة... (الحالية: {name})',
+        'search.suggestions': 'مدن مقترحة',
+        'search.button': 'بحث',
+        'search.searching': 'جارٍ البحث عن المدن…',
+        'search.found': {
+            zero: 'لم يتم العثور على مدن.',
+            one: 'تم العثور على مدينة واحدة. استخدم الأسهم للتنقل وEnter للاختيار.',
+            two: 'تم العثور على مدينتين. استخدم الأسهم للتنقل وEnter للاختيار.',
+            few: 'تم العثور على {count} مدن. استخدم الأسهم للتنقل وEnter للاختيار.',
+            other: 'تم العثور على {count} مدينة. استخدم الأسهم للتنقل وEnter للاختيار.'
+        },
+        'search.none': 'لا توجد مدن مطابقة لـ "{query}"',
+        'search.unavailable': 'الاقتراحات غير متاحة حاليًا. اضغط Enter للبحث على أي حال.',
+        'search.loading': 'جارٍ تحميل الطقس في {name}',
+        'location.population': 'السكان {population}',
+        'geo.locate': 'استخدام موقعي',
+        'geo.locatePrompt': 'استخدام موقعي (سيطلب المتصفح الإذن أولاً)',
+        'geo.blocked': 'الوصول إلى الموقع محظور لهذا الموقع',
+        'geo.locating': 'جارٍ تحديد موقعك…',
+        'geo.accuracy': 'موقعك، بدقة {distance}',
+        'geo.watching': 'يتحدث أثناء تنقلك',
+        'geo.retry': 'إعادة المحاولة',
+        'geo.useDefault': 'عرض {name}',
+        'geo.denied': 'الوصول إلى الموقع محظور',
+        'geo.deniedHelp': 'اسمح بالوصول إلى الموقع لهذا الموقع من إعدادات المتصفح (عادةً الرمز بجوار العنوان) ثم أعد المحاولة، أو اختر مدينة بدلاً من ذلك.',
+        'geo.unavailable': 'تعذر العثور على موقعك',
+        'geo.unavailableHelp': 'لم يتمكن جهازك من تحديد مكانه. تأكد من تشغيل خدمات الموقع، أو اختر مدينة بدلاً من ذلك.',
+        'geo.timeout': 'استغرق تحديد موقعك وقتاً طويلاً',
+        'geo.timeoutHelp': 'أعد المحاولة، أو اختر مدينة بدلاً من ذلك.',
+        'geo.unsupported': 'الموقع غير متاح هنا',
+        'geo.unsupportedHelp': 'لا يستطيع هذا المتصفح (أو صفحة بدون HTTPS) مشاركة موقعك. ابحث عن مدينة بدلاً من ذلك.',
+        'current.feelsLike': 'الإحساس {temperature}',
+        'current.announce': 'تم تحديث الطقس في {location}: {temperature}، {description}',
+        'current.observed': 'رُصد {time}',
+        'current.yourTime': '{time} بتوقيتك',
+        'current.fetched': 'جُلب {time}',
+        'current.updated': 'حُدّث {time}',
+        'current.updatedNow': 'حُدّث الآن',
+        'details.highLow': 'العظمى / الصغرى',
+        'details.humidity': 'الرطوبة',
+        'details.wind': 'سرعة الرياح',
+        'details.precipitation': 'الهطول',
+        'details.pressure': 'الضغط',
+        'details.visibility': 'مدى الرؤية',
+        'details.precipitationProbability': 'احتمال الهطول',
+        'details.gusts': 'هبات الرياح',
+        'details.dewPoint': 'نقطة الندى',
+        'details.uvIndex': 'مؤشر الأشعة فوق البنفسجية',
+        'details.sunrise': 'الشروق',
+        'details.sunset': 'الغروب',
+        'uv.low': 'منخفض',
+        'uv.moderate': 'معتدل',
+        'uv.high': 'مرتفع',
+        'uv.veryHigh': 'مرتفع جدًا',
+        'uv.extreme': 'شديد',
+        'forecast.showDaily': 'التوقعات اليومية',
+        'forecast.showHourly': 'التوقعات بالساعة',
+        'forecast.hourlyTitle': 'توقعات {count} ساعة',
+        'forecast.dailyTitle': 'توقعات {count} أيام',
+        'forecast.yourTime': 'بتوقيتك',
+        'forecast.dayDetails': 'الإحساس {max}/{min}، الرياح: {wind}',
+        'forecast.precipitationProbability': 'احتمال الهطول {percent}',
+        'forecast.gusts': 'هبات {speed}',
+        'day.previous': 'اليوم السابق',
+        'day.next': 'اليوم التالي',
+        'day.back': 'العودة إلى التوقعات',
+        'day.feelsLike': 'الإحساس الحراري',
+        'day.hourly': 'ساعة بساعة',
+        'day.time': 'الوقت',
+        'day.conditions': 'الحالة',
+        'day.probability': 'الاحتمال',
+        'day.noHours': 'لا توجد بيانات بالساعة لهذا اليوم.',
+        'compare.start': 'مقارنة المدن',
+        'compare.done': 'إنهاء المقارنة',
+        'compare.title': 'مقارنة الأماكن ({count}/{max})',
+        'compare.hint': 'ابحث في الأعلى لإضافة مدينة إلى المقارنة.',
+        'compare.placeholder': 'أضف مدينة للمقارنة...',
+        'compare.caption': 'التوقعات اليومية لكل مكان في المقارنة',
+        'compare.day': 'اليوم',
+        'compare.added': 'تمت إضافة {name} إلى المقارنة',
+        'compare.removed': 'تمت إزالة {name} من المقارنة',
+        'compare.duplicate': '{name} موجودة بالفعل في المقارنة',
+        'compare.full': 'يمكنك مقارنة {count} أماكن كحد أقصى في وقت واحد.',
+        'compare.remove': 'إزالة {name} من المقارنة',
+        'compare.loading': 'جارٍ التحميل…',
+        'compare.unavailable': 'التوقعات غير متاحة',
+        'compare.warmest': 'الأدفأ',
+        'compare.driest': 'الأكثر جفافًا',
+        'compare.wind': 'الرياح {speed}',
+        'compare.chartLabel': 'درجات الحرارة العظمى (خط متصل) والصغرى (خط متقطع) لكل مكان، بين {low} و{high}',
+        'export.menu': 'تصدير',
+        'export.dailyCSV': 'التوقعات اليومية (CSV)',
+        'export.hourlyCSV': 'التوقعات بالساعة (CSV)',
+        'export.json': 'جميع بيانات التوقعات (JSON)',
+        'export.ics': 'أحداث التقويم (.ics)',
+        'export.copy': 'نسخ الملخص',
+        'export.share': 'مشاركة الملخص',
+        'export.downloaded': 'تم تنزيل {file}',
+        'export.copied': 'تم نسخ الملخص إلى الحافظة',
+        'export.shared': 'تمت مشاركة الملخص',
+        'export.failed': 'تعذر تصدير التوقعات',
+        'export.copyFailed': 'تعذر نسخ الملخص',
+        'export.shareTitle': 'الطقس في {place}',
+        'export.calendarName': 'الطقس في {place}',
+        'export.summaryNow': '{place}: {temperature}، {description}، الإحساس كأنها {feelsLike}',
+        'chart.label': 'درجة الحرارة والهطول لكل ساعة. استخدم الأسهم للتنقل بين الساعات.',
+        'chart.now': 'الآن',
+        'chart.temperature': 'درجة الحرارة',
+        'chart.feelsLike': 'الإحساس',
+        'chart.precipitation': 'الهطول',
+        'chart.point': '{day} {time}: {description}، {temperature}، الإحساس {feelsLike}، الهطول {precipitation}',
+        'alerts.label': 'تنبيهات الطقس',
+        'alerts.dismiss': 'إغلاق التنبيه: {title}',
+        'alert.wind.severe': 'رياح مدمرة',
+        'alert.wind.warning': 'رياح قوية',
+        'alert.wind.message': 'رياح تصل إلى {speed} {day}',
+        'alert.rain.severe': 'احتمال فيضانات',
+        'alert.rain.warning': 'أمطار غزيرة',
+        'alert.rain.message': 'يُتوقع هطول {amount} {day}',
+        'alert.heat.severe': 'حر شديد',
+        'alert.heat.warning': 'تنبيه حرارة',
+        'alert.heat.message': 'إحساس حراري يصل إلى {temperature} {day}',
+        'alert.cold.severe': 'برد شديد',
+        'alert.cold.warning': 'تنبيه برد',
+        'alert.cold.message': 'إحساس حراري ينخفض إلى {temperature} {day}',
+        'alert.thunderstorm.severe': 'عواصف رعدية مع برد',
+        'alert.thunderstorm.warning': 'عواصف رعدية',
+        'alert.thunderstorm.from': '{description} متوقعة اعتبارًا من {time}',
+        'alert.thunderstorm.within': '{description} خلال الساعات الـ{hours} القادمة',
+        'alert.freezing.title': 'هطول متجمد',
+        'alert.freezing.message': '{description} - احتمال تجمد الطرق',
+        'favorites.label': 'المواقع المفضلة',
+        'favorites.add': 'إضافة إلى المفضلة',
+        'favorites.removeCurrent': 'إزالة من المفضلة',
+        'favorites.chipTitle': '{name} (Alt+←/→ لإعادة الترتيب)',
+        'favorites.isDefault': 'الموقع الافتراضي (انقر للإلغاء)',
+        'favorites.makeDefault': 'تعيين كموقع افتراضي',
+        'favorites.clearDefault': 'إلغاء الموقع الافتراضي',
+        'favorites.makeDefaultNamed': 'تعيين {name} كموقع افتراضي',
+        'favorites.remove': 'إزالة',
+        'favorites.removeNamed': 'إزالة {name} من المفضلة',
+        'favorites.notificationsOn': 'إيقاف إشعارات التنبيهات للمفضلة',
+        'favorites.notificationsOff': 'أعلمني بالطقس القاسي في المواقع المفضلة',
+        'favorites.notificationsBlocked': 'الإشعارات محظورة. اسمح بها من إعدادات المتصفح لتلقي التنبيهات.',
+        'airQuality.title': 'جودة الهواء',
+        'airQuality.loading': 'جارٍ تحميل جودة الهواء…',
+        'airQuality.unavailable': 'بيانات جودة الهواء غير متاحة حاليًا.',
+        'airQuality.usAqi': 'مؤشر جودة الهواء الأمريكي',
+        'airQuality.europeanAqi': 'مؤشر جودة الهواء الأوروبي',
+        'airQuality.otherScale': 'المؤشر الأوروبي {value} ({category})',
+        'airQuality.category.good': 'جيدة',
+        'airQuality.category.fair': 'مقبولة',
+        'airQuality.category.moderate': 'متوسطة',
+        'airQuality.category.unhealthySensitive': 'غير صحية للفئات الحساسة',
+        'airQuality.category.unhealthy': 'غير صحية',
+        'airQuality.category.veryUnhealthy': 'غير صحية جدًا',
+        'airQuality.category.hazardous': 'خطرة',
+        'airQuality.category.poor': 'سيئة',
+        'airQuality.category.veryPoor': 'سيئة جدًا',
+        'airQuality.category.extremelyPoor': 'سيئة للغاية',
+        'airQuality.guidance.good': 'جودة الهواء جيدة. يوم مناسب للنشاط في الخارج.',
+        'airQuality.guidance.fair': 'جودة الهواء مقبولة. يمكنك ممارسة أنشطتك المعتادة في الخارج.',
+        'airQuality.guidance.moderate': 'مقبولة لمعظم الناس. إن كنت شديد الحساسية فخفف النشاط الطويل في الخارج.',
+        'airQuality.guidance.unhealthySensitive': 'على المصابين بالربو أو أمراض القلب والرئة والأطفال وكبار السن تقليل المجهود الطويل أو الشديد في الخارج.',
+        'airQuality.guidance.unhealthy': 'على الجميع تقليل المجهود الطويل في الخارج، وعلى الفئات الحساسة تجنبه.',
+        'airQuality.guidance.veryUnhealthy': 'تنبيه صحي: تجنب المجهود الطويل في الخارج. على الفئات الحساسة البقاء في الداخل.',
+        'airQuality.guidance.hazardous': 'تحذير صحي: على الجميع تجنب النشاط في الخارج.',
+        'airQuality.guidance.poor': 'على الفئات الحساسة تقليل النشاط في الخارج وتجنب التمارين الشديدة.',
+        'airQuality.guidance.veryPoor': 'على الجميع تقليل المجهود في الخارج، وعلى الفئات الحساسة تجنبه.',
+        'airQuality.guidance.extremelyPoor': 'تجنب النشاط في الخارج. على الفئات الحساسة البقاء في الداخل.',
+        'airQuality.pm25': 'PM2.5',
+        'airQuality.pm10': 'PM10',
+        'airQuality.ozone': 'الأوزون',
+        'airQuality.pollen': 'حبوب اللقاح',
+        'airQuality.pollen.alder': 'الجار',
+        'airQuality.pollen.birch': 'البتولا',
+        'airQuality.pollen.grass': 'الأعشاب',
+        'airQuality.pollen.mugwort': 'الشيح',
+        'airQuality.pollen.olive': 'الزيتون',
+        'airQuality.pollen.ragweed': 'الرجيد',
+        'airQuality.pollenLevel.none': 'لا يوجد',
+        'airQuality.pollenLevel.low': 'منخفض',
+        'airQuality.pollenLevel.moderate': 'متوسط',
+        'airQuality.pollenLevel.high': 'مرتفع',
+        'airQuality.pollenLevel.veryHigh': 'مرتفع جدًا',
+        'airQuality.trend': 'الساعات الـ 24 القادمة',
+        'airQuality.trendLabel': 'جودة الهواء خلال الساعات الـ 24 القادمة، بذروة {value} ({category}) عند {time}',
+        'climate.title': 'الطقس الأخير والمعدلات',
+        'climate.loading': 'جارٍ تحميل الطقس الأخير…',
+        'climate.unavailable': 'بيانات الطقس السابقة غير متاحة حاليًا.',
+        'climate.warmer': '{difference} فوق المعدل اليوم',
+        'climate.cooler': '{difference} تحت المعدل اليوم',
+        'climate.normal': 'مطابق تمامًا للعظمى المعتادة اليوم',
+        'climate.normalRange': 'العظمى المعتادة {max}، والصغرى {min} (متوسط {period})',
+        'climate.pastDays': {
+            zero: 'آخر {count} يوم',
+            one: 'آخر يوم',
+            two: 'آخر يومين',
+            few: 'آخر {count} أيام',
+            many: 'آخر {count} يومًا',
+            other: 'آخر {count} يوم'
+        },
+        'climate.precipitation': 'إجمالي الهطول: {total}',
+        'climate.precipitationVsNormal': 'إجمالي الهطول: {total} (المعتاد {normal})',
+        'cache.offlineTitle': 'عرض آخر توقعات معروفة',
+        'cache.offline': 'غير متصل · بيانات منذ {time}',
+        'cache.staleTitle': 'جارٍ التحديث في الخلفية',
+        'cache.stale': 'بيانات منذ {time} · جارٍ التحديث…',
+        'units.summary': 'الوحدات: {summary}',
+        'units.custom': '(مخصصة)',
+        'units.metric': 'متري',
+        'units.imperial': 'إمبراطوري',
+        'units.temperature': 'الحرارة',
+        'units.windSpeed': 'الرياح',
+        'units.precipitation': 'الهطول',
+        'units.distance': 'مدى الرؤية',
+        'units.pressure': 'الضغط',
+        'loading': 'جارٍ تحميل بيانات الطقس...',
+        'error.tryDifferentCity': 'جرّب مدينة أخرى',
+        'error.reload': 'إعادة التحميل',
+        'error.initial': 'تعذر تحميل بيانات الطقس',
+        'error.location': 'تعذر تحميل الطقس لموقعك',
+        'error.emptyInput': 'بحث فارغ',
+        'error.emptyInputDetail': 'يرجى إدخال اسم مدينة',
+        'error.invalidInput': 'إدخال غير صالح',
+        'error.validation': 'اسم مدينة غير صالح',
+        'error.not-found': 'لم يتم العثور على الموقع',
+        'error.cityNotFound': 'لم يتم العثور على المدينة: "{name}"',
+        'error.network': 'مشكلة في الاتصال بالشبكة',
+        'error.timeout': 'انتهت مهلة الطلب - حاول مرة أخرى',
+        'error.rate-limit': 'طلبات كثيرة جدًا - انتظر قليلًا',
+        'error.server': 'خدمة الطقس غير متاحة مؤقتًا',
+        'error.malformed': 'تم استلام بيانات غير متوقعة من خدمة الطقس',
+        'error.unknown': 'تعذر تحميل بيانات الطقس',
+        'errorDetail.network': 'تحقق من اتصالك بالإنترنت وحاول مرة أخرى.',
+        'errorDetail.timeout': 'استغرقت خدمة الطقس وقتًا طويلًا للرد.',
+        'errorDetail.rate-limit': 'خدمة الطقس تحدّ من الطلبات. ستتم إعادة المحاولة قريبًا.',
+        'errorDetail.server': 'أبلغت خدمة الطقس عن خطأ. ستتم إعادة المحاولة قريبًا.',
+        'errorDetail.malformed': 'تم استلام بيانات طقس غير صالحة. حاول مرة أخرى.',
+        'validation.required': 'اسم المدينة مطلوب',
+        'validation.empty': 'لا يمكن أن يكون اسم المدينة فارغًا',
+        'validation.tooShort': 'يجب أن يتكون اسم المدينة من حرفين على الأقل',
+        'validation.tooLong': 'اسم المدينة طويل جدًا (100 حرف كحد أقصى)',
+        'validation.invalidCharacters': 'يحتوي اسم المدينة على أحرف غير صالحة',
+        'validation.coordinates': 'إحداثيات غير صالحة',
+        'notFound.city': 'لا توجد نتائج لـ "{query}". تحقق من الإملاء أو جرّب مدينة أخرى.',
+        'weather.0': 'سماء صافية',
+        'weather.1': 'صافٍ غالبًا',
+        'weather.2': 'غائم جزئيًا',
+        'weather.3': 'غائم',
+        'weather.45': 'ضباب',
+        'weather.48': 'ضباب متجمد',
+        'weather.51': 'رذاذ خفيف',
+        'weather.53': 'رذاذ معتدل',
+        'weather.55': 'رذاذ كثيف',
+        'weather.56': 'رذاذ متجمد خفيف',
+        'weather.57': 'رذاذ متجمد كثيف',
+        'weather.61': 'مطر خفيف',
+        'weather.63': 'مطر معتدل',
+        'weather.65': 'مطر غزير',
+        'weather.66': 'مطر متجمد خفيف',
+        'weather.67': 'مطر متجمد غزير',
+        'weather.71': 'تساقط ثلوج خفيف',
+        'weather.73': 'تساقط ثلوج معتدل',
+        'weather.75': 'تساقط ثلوج كثيف',
+        'weather.77': 'حبيبات ثلجية',
+        'weather.80': 'زخات مطر خفيفة',
+        'weather.81': 'زخات مطر معتدلة',
+        'weather.82': 'زخات مطر عنيفة',
+        'weather.85': 'زخات ثلج خفيفة',
+        'weather.86': 'زخات ثلج كثيفة',
+        'weather.95': 'عاصفة رعدية',
+        'weather.96': 'عاصفة رعدية مع برد خفيف',
+        'weather.99': 'عاصفة رعدية مع برد كثيف',
+        'weather.unknown': 'غير معروف',
+        'compass': ['ش', 'ش ش ق', 'ش ق', 'ق ش ق', 'ق', 'ق ج ق', 'ج ق', 'ج ج ق', 'ج', 'ج ج غ', 'ج غ', 'غ ج غ', 'غ', 'غ ش غ', 'ش غ', 'ش ش غ']
+    }
+};
+
+// Weather provider interface. A provider talks to one backend and maps its responses
+// onto the widget's normalized model, so nothing above this layer knows the backend:
+//
+//   Location  { latitude, longitude, name, country, countryCode, admin1, admin2, population }
+//   Forecast  {
+//       provider,                                   // provider id
+//       timezone: { name, utcOffsetSeconds, abbreviation },
+//       current: { time, temperature, feelsLike, dewPoint, humidity, windSpeed, windDirection,
+//                  windGusts, pressure, visibility, uvIndex, weatherCode },
+//       daily:  [{ date, weatherCode, temperatureMax, temperatureMin, feelsLikeMax,
+//                  feelsLikeMin, sunrise, sunset, uvIndexMax, precipitation,
+//                  precipitationProbability, windSpeedMax, windGustsMax }],
+//       hourly: [{ time, temperature, feelsLike, precipitationProbability, precipitation,
+//                  weatherCode, windGusts }]
+//   }
+//   AirQuality {
+//       provider, timezone,
+//       current: { time, usAqi, europeanAqi, pm25, pm10, ozone,
+//                  pollen: { alder, birch, grass, mugwort, olive, ragweed } },
+//       hourly: [{ time, usAqi, europeanAqi }]
+//   }
+//   DailyHistory {
+//       provider, timezone,
+//       daily: [{ date, temperatureMax, temperatureMin, precipitation }]   // observed values
+//   }
+//
+// Optional variables a backend cannot provide are null; precipitation probabilities are
+// percentages and sunrise/sunset are local times like every other timestamp. Pollutants are
+// in μg/m³ and pollen in grains/m³. Air quality and history are optional: getAirQuality()
+// and getDailyHistory() resolve to null when the backend has none.
+//
+// Times are local to the location ("YYYY-MM-DDTHH:MM", dates "YYYY-MM-DD"), weather codes
+// are WMO codes, temperature/wind/precipitation are in the requested UnitSystem, pressure
+// is in hPa and visibility in metres. Every method accepts `options.signal`; the geocoding
+// methods also take `options.language` (e.g. "de") for localized place names.
+class WeatherProvider {
+    get id() {
+        return 'custom';
+    }
+
+    // Matching places, best first; `options.count` caps the list
+    async searchLocations(query, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement searchLocations()`);
+    }
+
+    // The place at these coordinates, or null if the backend doesn't know it
+    async reverseGeocode(latitude, longitude, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement reverseGeocode()`);
+    }
+
+    async getForecast(latitude, longitude, units, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement getForecast()`);
+    }
+
+    async getAirQuality(latitude, longitude, options = {}) {
+        return null;
+    }
+
+    // Observed days from `options.startDate` to `options.endDate` ("YYYY-MM-DD", inclusive)
+    async getDailyHistory(latitude, longitude, units, options = {}) {
+        return null;
+    }
+}
+
+// Open-Meteo forecasts and geocoding, with OpenStreetMap Nominatim for reverse geocoding
+// (neither needs an API key)
+class OpenMeteoProvider extends WeatherProvider {
+    constructor(options = {}) {
+        super();
+        this.retryPolicy = options.retryPolicy || new RetryPolicy();
+        this.forecastURL = options.forecastURL || 'https://api.open-meteo.com/v1/forecast';
+        this.geocodingURL = options.geocodingURL || 'https://geocoding-api.open-meteo.com/v1/search';
+        this.reverseGeocodingURL = options.reverseGeocodingURL || 'https://nominatim.openstreetmap.org/reverse';
+        this.airQualityURL = options.airQualityURL || 'https://air-quality-api.open-meteo.com/v1/air-quality';
+        this.archiveURL = options.archiveURL || 'https://archive-api.open-meteo.com/v1/archive';
+        this.historicalForecastURL = options.historicalForecastURL || 'https://historical-forecast-api.open-meteo.com/v1/forecast';
+    }
+
+    get id() {
+        return 'open-meteo';
+    }
+
+    async fetchJSON(url, options = {}) {
+        const response = await NetworkUtils.fetchWithRetry(url, options, this.retryPolicy);
+        return NetworkUtils.readJSON(response);
+    }
+
+    // Geocoding result -> Location, keeping the fields needed to tell places apart
+    static toLocation(result) {
+        return {
+            latitude: parseFloat(result.latitude),
+            longitude: parseFloat(result.longitude),
+            name: result.name,
+            country: result.country || 'Unknown',
+            countryCode: result.country_code || null,
+            admin1: result.admin1 || null,
+            admin2: result.admin2 || null,
+            population: result.population || null
+        };
+    }
+
+    // Forecast response (parallel arrays keyed by variable) -> Forecast
+    static toForecast(data) {
+        const current = data.current;
+        const daily = data.daily;
+        const hourly = data.hourly;
+        // Visibility comes in feet when imperial units were requested
+        const visibilityUnit = data.current_units ? data.current_units.visibility : 'm';
+        const visibility = current.visibility === null || current.visibility === undefined
+            ? null
+            : (visibilityUnit === 'ft' ? current.visibility * 0.3048 : current.visibility);
+
+        // Variables added after a response was cached may be missing
+        const valueAt = (series, i) => series && series[i] !== undefined ? series[i] : null;
+
+        return {
+            provider: 'open-meteo',
+            timezone: {
+                name: data.timezone || null,
+                utcOffsetSeconds: data.utc_offset_seconds || 0,
+                abbreviation: data.timezone_abbreviation || ''
+            },
+            current: {
+                time: current.time || null,
+                temperature: current.temperature_2m,
+                feelsLike: current.apparent_temperature,
+                dewPoint: current.dew_point_2m ?? null,
+                humidity: current.relative_humidity_2m,
+                windSpeed: current.wind_speed_10m,
+                windDirection: current.wind_direction_10m,
+                windGusts: current.wind_gusts_10m ?? null,
+                pressure: current.pressure_msl ?? null,
+                visibility: visibility,
+                uvIndex: current.uv_index ?? null,
+                weatherCode: current.weather_code
+            },
+            daily: daily.time.map((date, i) => ({
+                date: date,
+                weatherCode: daily.weather_code[i],
+                temperatureMax: daily.temperature_2m_max[i],
+                temperatureMin: daily.temperature_2m_min[i],
+                feelsLikeMax: daily.apparent_temperature_max[i],
+                feelsLikeMin: daily.apparent_temperature_min[i],
+                sunrise: valueAt(daily.sunrise, i),
+                sunset: valueAt(daily.sunset, i),
+                uvIndexMax: valueAt(daily.uv_index_max, i),
+                precipitation: daily.precipitation_sum[i],
+                precipitationProbability: valueAt(daily.precipitation_probability_max, i),
+                windSpeedMax: daily.wind_speed_10m_max[i],
+                windGustsMax: valueAt(daily.wind_gusts_10m_max, i)
+            })),
+            hourly: hourly.time.map((time, i) => ({
+                time: time,
+                temperature: hourly.temperature_2m[i],
+                feelsLike: valueAt(hourly.apparent_temperature, i),
+                precipitationProbability: valueAt(hourly.precipitation_probability, i),
+                precipitation: valueAt(hourly.precipitation, i),
+                weatherCode: hourly.weather_code[i],
+                windGusts: valueAt(hourly.wind_gusts_10m, i)
+            }))
+        };
+    }
+
+    // Air-quality response -> AirQuality; pollen is only modelled for Europe and is null elsewhere
+    static toAirQuality(data) {
+        const current = data.current;
+        const hourly = data.hourly;
+        const value = (field) => current[field] ?? null;
+        return {
+            provider: 'open-meteo',
+            timezone: {
+                name: data.timezone || null,
+                utcOffsetSeconds: data.utc_offset_seconds || 0,
+                abbreviation: data.timezone_abbreviation || ''
+            },
+            current: {
+                time: current.time || null,
+                usAqi: value('us_aqi'),
+                europeanAqi: value('european_aqi'),
+                pm25: value('pm2_5'),
+                pm10: value('pm10'),
+                ozone: value('ozone'),
+                pollen: {
+                    alder: value('alder_pollen'),
+                    birch: value('birch_pollen'),
+                    grass: value('grass_pollen'),
+                    mugwort: value('mugwort_pollen'),
+                    olive: value('olive_pollen'),
+                    ragweed: value('ragweed_pollen')
+                }
+            },
+            hourly: hourly.time.map((time, i) => ({
+                time: time,
+                usAqi: hourly.us_aqi ? hourly.us_aqi[i] ?? null : null,
+                europeanAqi: hourly.european_aqi ? hourly.european_aqi[i] ?? null : null
+            }))
+        };
+    }
+
+    // Archive response -> DailyHistory
+    static toDailyHistory(data) {
+        const daily = data.daily;
+        const value = (field, i) => (daily[field] ? daily[field][i] ?? null : null);
+        return {
+            provider: 'open-meteo',
+            timezone: {
+                name: data.timezone || null,
+                utcOffsetSeconds: data.utc_offset_seconds || 0,
+                abbreviation: data.timezone_abbreviation || ''
+            },
+            daily: daily.time.map((date, i) => ({
+                date: date,
+                temperatureMax: value('temperature_2m_max', i),
+                temperatureMin: value('temperature_2m_min', i),
+                precipitation: value('precipitation_sum', i)
+            }))
+        };
+    }
+
+    // Nominatim address -> Location, or null when the response has no address
+    static fromNominatim(data, latitude, longitude) {
+        if (!data || !data.address) {
+            return null;
+        }
+        const address = data.address;
+        return {
+            latitude: latitude,
+            longitude: longitude,
+            // Try the different fields each kind of place uses
+            name: address.city || address.town || address.village || address.municipality || address.hamlet || 'Unknown City',
+            country: address.country || 'Unknown Country',
+            countryCode: address.country_code ? address.country_code.toUpperCase() : null,
+            admin1: address.state || address.region || address.province || address.county || '',
+            admin2: null,
+            population: null
+        };
+    }
+
+    async searchLocations(query, options = {}) {
+        const language = encodeURIComponent(options.language || 'en');
+        const url = `${this.geocodingURL}?name=${encodeURIComponent(query)}&count=${options.count || 5}&language=${language}&format=json`;
+        const data = await this.fetchJSON(url, { signal: options.signal });
+        return (data.results || []).map(OpenMeteoProvider.toLocation);
+    }
+
+    async reverseGeocode(latitude, longitude, options = {}) {
+        const language = encodeURIComponent(options.language || 'en');
+        const url = `${this.reverseGeocodingURL}?format=json&lat=${latitude}&lon=${longitude}&zoom=10&addressdetails=1&accept-language=${language}`;
+        const data = await this.fetchJSON(url, {
+            // Identify the app as required by the Nominatim usage policy
+            headers: {
+                'User-Agent': 'WeatherWidget/1.0 (https://myfirstsite.local)'
+            },
+            signal: options.signal
+        });
+        return OpenMeteoProvider.fromNominatim(data, latitude, longitude);
+    }
+
+    async getForecast(latitude, longitude, units, options = {}) {
+        const params = new URLSearchParams({
+            latitude: latitude.toString(),
+            longitude: longitude.toString(),
+            current: 'temperature_2m,relative_humidity_2m,apparent_temperature,dew_point_2m,weather_code,wind_speed_10m,wind_direction_10m,wind_gusts_10m,pressure_msl,visibility,uv_index',
+            daily: 'weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,uv_index_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max',
+            hourly: 'temperature_2m,apparent_temperature,precipitation_probability,precipitation,weather_code,wind_gusts_10m',
+            timezone: 'auto',
+            forecast_days: 5,
+            ...units.toApiParams()
+        });
+
+        const data = await this.fetchJSON(`${this.forecastURL}?${params}`, { signal: options.signal });
+        if (!data.current || !data.daily || !data.hourly || !Array.isArray(data.daily.time) || !Array.isArray(data.hourly.time)) {
+            throw new MalformedResponseError('Invalid weather data format received from server');
+        }
+        return OpenMeteoProvider.toForecast(data);
+    }
+
+    async getAirQuality(latitude, longitude, options = {}) {
+        const params = new URLSearchParams({
+            latitude: latitude.toString(),
+            longitude: longitude.toString(),
+            current: 'us_aqi,european_aqi,pm2_5,pm10,ozone,alder_pollen,birch_pollen,grass_pollen,mugwort_pollen,olive_pollen,ragweed_pollen',
+            hourly: 'us_aqi,european_aqi',
+            timezone: 'auto',
+            forecast_days: 2
+        });
+
+        const data = await this.fetchJSON(`${this.airQualityURL}?${params}`, { signal: options.signal });
+        if (!data.current || !data.hourly || !Array.isArray(data.hourly.time)) {
+            throw new MalformedResponseError('Invalid air quality data format received from server');
+        }
+        return OpenMeteoProvider.toAirQuality(data);
+    }
+
+    // The reanalysis archive trails real time by about five days, so ranges reaching into the
+    // last week come from the archive of past forecasts instead
+    async getDailyHistory(latitude, longitude, units, options = {}) {
+        const params = new URLSearchParams({
+            latitude: latitude.toString(),
+            longitude: longitude.toString(),
+            start_date: options.startDate,
+            end_date: options.endDate,
+            daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum',
+            timezone: 'auto',
+            ...units.toApiParams()
+        });
+        const recent = Date.now() - Date.parse(options.endDate) < 7 * 24 * 60 * 60 * 1000;
+
+        const data = await this.fetchJSON(`${recent ? this.historicalForecastURL : this.archiveURL}?${params}`, { signal: options.signal });
+        if (!data.daily || !Array.isArray(data.daily.time)) {
+            throw new MalformedResponseError('Invalid historical data format received from server');
+        }
+        return OpenMeteoProvider.toDailyHistory(data);
+    }
+}
+
+// Replays recorded Open-Meteo responses from a fixtures directory, for development, demos
+// and tests without network access. Layout (see fixtures/README.md):
+//   geocoding.json         a recorded geocoding search response listing every fixture place
+//   forecast/<slug>.json   a recorded forecast per place, in the default metric units
+//   air-quality/<slug>.json  a recorded air-quality response per place
+// Any coordinates get the nearest recorded place. Recordings are shifted by whole days so
+// that they start "today", unless `replayAtNow: false`.
+class FixtureProvider extends OpenMeteoProvider {
+    constructor(options = {}) {
+        super({ retryPolicy: new RetryPolicy({ maxAttempts: 1 }), ...options });
+        this.baseURL = (options.baseURL || FixtureProvider.defaultBaseURL).replace(/\/?$/, '/');
+        this.replayAtNow = options.replayAtNow !== false;
+        this.locations = null;
+    }
+
+    get id() {
+        return 'fixtures';
+    }
+
+    async loadLocations(signal) {
+        if (!this.locations) {
+            this.locations = this.fetchJSON(`${this.baseURL}geocoding.json`, { signal })
+                .then(data => (data.results || []).map(OpenMeteoProvider.toLocation))
+                .catch(error => {
+                    this.locations = null;
+                    throw error;
+                });
+        }
+        return this.locations;
+    }
+
+    // Closest recorded place (equirectangular distance is plenty at this scale)
+    nearest(locations, latitude, longitude) {
+        const distance = (location) => {
+            const x = (location.longitude - longitude) * Math.cos((latitude * Math.PI) / 180);
+            const y = location.latitude - latitude;
+            return x * x + y * y;
+        };
+        return locations.reduce((best, location) => (distance(location) < distance(best) ? location : best));
+    }
+
+    async searchLocations(query, options = {}) {
+        const locations = await this.loadLocations(options.signal);
+        const needle = query.trim().toLowerCase();
+        return locations
+            .filter(location => location.name.toLowerCase().startsWith(needle))
+            .slice(0, options.count || 5);
+    }
+
+    async reverseGeocode(latitude, longitude, options = {}) {
+        const locations = await this.loadLocations(options.signal);
+        if (locations.length === 0) {
+            return null;
+        }
+        return { ...this.nearest(locations, latitude, longitude), latitude, longitude };
+    }
+
+    async getForecast(latitude, longitude, units, options = {}) {
+        const locations = await this.loadLocations(options.signal);
+        if (locations.length === 0) {
+            throw new NotFoundError('No fixture locations recorded');
+        }
+
+        const location = this.nearest(locations, latitude, longitude);
+        const data = await this.fetchJSON(`${this.baseURL}forecast/${Markup.slug(location.name)}.json`, { signal: options.signal });
+        const forecast = FixtureProvider.convertUnits(OpenMeteoProvider.toForecast(data), units);
+        forecast.provider = this.id;
+        return this.replayAtNow ? FixtureProvider.shiftToToday(forecast) : forecast;
+    }
+
+    async getAirQuality(latitude, longitude, options = {}) {
+        const locations = await this.loadLocations(options.signal);
+        if (locations.length === 0) {
+            throw new NotFoundError('No fixture locations recorded');
+        }
+
+        const location = this.nearest(locations, latitude, longitude);
+        const data = await this.fetchJSON(`${this.baseURL}air-quality/${Markup.slug(location.name)}.json`, { signal: options.signal });
+        const airQuality = { ...OpenMeteoProvider.toAirQuality(data), provider: this.id };
+        if (!this.replayAtNow) {
+            return airQuality;
+        }
+        const { currentTime, shift } = FixtureProvider.dayShift(airQuality.hourly[0].time, airQuality.timezone, Date.now());
+        return {
+            ...airQuality,
+            current: { ...airQuality.current, time: currentTime },
+            hourly: airQuality.hourly.map(slot => ({ ...slot, time: shift(slot.time) }))
+        };
+    }
+
+    // Nothing is recorded for the past, so the climate section stays hidden
+    async getDailyHistory(latitude, longitude, units, options = {}) {
+        return null;
+    }
+
+    // Recordings are metric; convert them the way the API would have
+    static convertUnits(forecast, units) {
+        const convert = (slot, fields, fn) => {
+            const converted = { ...slot };
+            fields.forEach(field => {
+                if (typeof converted[field] === 'number') {
+                    converted[field] = fn.call(units, converted[field]);
+                }
+            });
+            return converted;
+        };
+        const temperatures = ['temperature', 'feelsLike', 'dewPoint', 'temperatureMax', 'temperatureMin', 'feelsLikeMax', 'feelsLikeMin'];
+        const winds = ['windSpeed', 'windGusts', 'windSpeedMax', 'windGustsMax'];
+        const convertSlot = (slot) => convert(
+            convert(convert(slot, temperatures, units.fromCelsius), winds, units.fromKmh),
+            ['precipitation'],
+            units.fromMillimetres
+        );
+
+        return {
+            ...forecast,
+            current: convertSlot(forecast.current),
+            daily: forecast.daily.map(convertSlot),
+            hourly: forecast.hourly.map(convertSlot)
+        };
+    }
+
+    // Whole-day shift that moves `firstDate` to today at the location, plus the current local hour
+    static dayShift(firstDate, timezone, now = Date.now()) {
+        const localNow = new Date(now + timezone.utcOffsetSeconds * 1000).toISOString();
+        const today = localNow.slice(0, 10);
+        const days = Math.round((Date.parse(today) - Date.parse(firstDate.slice(0, 10))) / 86400000);
+
+        const shift = (localISO) => {
+            if (!localISO || !days) return localISO;
+            const [datePart, timePart] = localISO.split('T');
+            const date = new Date(Date.parse(datePart) + days * 86400000).toISOString().slice(0, 10);
+            return timePart ? `${date}T${timePart}` : date;
+        };
+        return { currentTime: `${localNow.slice(0, 13)}:00`, shift };
+    }
+
+    // Move every local timestamp so the first forecast day is today at the location, and
+    // present the recorded current conditions as observed this hour
+    static shiftToToday(forecast, now = Date.now()) {
+        const { currentTime, shift } = FixtureProvider.dayShift(forecast.daily[0].date, forecast.timezone, now);
+        return {
+            ...forecast,
+            current: { ...forecast.current, time: currentTime },
+            daily: forecast.daily.map(day => ({
+                ...day,
+                date: shift(day.date),
+                sunrise: shift(day.sunrise),
+                sunset: shift(day.sunset)
+            })),
+            hourly: forecast.hourly.map(slot => ({ ...slot, time: shift(slot.time) }))
+        };
+    }
+}
+
+// Weather service layer: input validation, fallbacks and response checks on top of a provider
+// Every request method accepts `options.signal` (an AbortSignal) to cancel it
+class WeatherService {
+    constructor(options = {}) {
+        this.provider = options.provider || new OpenMeteoProvider({ retryPolicy: options.retryPolicy });
+    }
+
+    async getCoordinates(cityName, options = {}) {
+        const validatedCity = NetworkUtils.validateCityName(cityName);
+        const results = await this.provider.searchLocations(validatedCity, { count: 1, signal: options.signal, language: options.language });
+        
+        if (!results || results.length === 0) {
+            throw new NotFoundError(`No results found for "${validatedCity}". Please check the spelling or try a different city name.`, {
+                messageKey: 'notFound.city',
+                messageParams: { query: validatedCity }
+            });
+        }
+        
+        const location = results[0];
+        
+        // Validate location data
+        if (isNaN(location.latitude) || isNaN(location.longitude) || !location.name) {
+            throw new MalformedResponseError('Invalid location data received from server');
+        }
+        
+        return location;
+    }
+
+    static validateCoordinates(latitude, longitude) {
+        if (latitude === null || longitude === null || latitude === undefined || longitude === undefined ||
+            isNaN(latitude) || isNaN(longitude)) {
+            throw new ValidationError('Invalid coordinates provided', { messageKey: 'validation.coordinates' });
+        }
+        
+        if (latitude < -90 || latitude > 90) {
+            throw new ValidationError('Invalid latitude (must be between -90 and 90)');
+        }
+        
+        if (longitude < -180 || longitude > 180) {
+            throw new ValidationError('Invalid longitude (must be between -180 and 180)');
+        }
+    }
+
+    // Resolves to the provider's normalized Forecast (see WeatherProvider)
+    async getWeatherData(latitude, longitude, units = UnitSystem.getDefault(), options = {}) {
+        WeatherService.validateCoordinates(latitude, longitude);
+        
+        const data = await this.provider.getForecast(latitude, longitude, units, { signal: options.signal });
+        
+        // Validate weather data structure
+        if (!data || !data.current || !Array.isArray(data.daily) || data.daily.length === 0 || !Array.isArray(data.hourly)) {
+            throw new MalformedResponseError('Invalid weather data format received from server');
+        }
+        
+        return data;
+    }
+
+    // Resolves to the provider's normalized AirQuality, or null if the provider has none
+    async getAirQuality(latitude, longitude, options = {}) {
+        WeatherService.validateCoordinates(latitude, longitude);
+
+        const data = await this.provider.getAirQuality(latitude, longitude, { signal: options.signal });
+        if (data === null || data === undefined) {
+            return null;
+        }
+        if (!data.current || !Array.isArray(data.hourly)) {
+            throw new MalformedResponseError('Invalid air quality data format received from server');
+        }
+        return data;
+    }
+
+    // The `options.count` days (default 7) before `options.today`, the location's local date,
+    // as DailyHistory in `units`; null if the provider has no history
+    async getRecentHistory(latitude, longitude, units, options = {}) {
+        WeatherService.validateCoordinates(latitude, longitude);
+
+        const count = options.count || 7;
+        const data = await this.provider.getDailyHistory(latitude, longitude, units, {
+            startDate: WeatherService.addDays(options.today, -count),
+            endDate: WeatherService.addDays(options.today, -1),
+            signal: options.signal
+        });
+        if (data === null || data === undefined) {
+            return null;
+        }
+        if (!Array.isArray(data.daily)) {
+            throw new MalformedResponseError('Invalid historical data format received from server');
+        }
+        return data;
+    }
+
+    // Climate normals over a reference period of whole years (the WMO standard 1991-2020
+    // unless `options.period` says otherwise), in metric units, for the calendar days from a
+    // week before `options.today` (the location's local date) to `normalsSpan` days after it.
+    // Each "MM-DD" entry averages a 15-day window around that date, which smooths out single
+    // odd years. Only those weeks are fetched from each reference year, a few years at a time,
+    // rather than 30 whole years of data. Null without history.
+    async getClimateNormals(latitude, longitude, options = {}) {
+        WeatherService.validateCoordinates(latitude, longitude);
+
+        const [start, end] = options.period || WeatherService.normalsPeriod;
+        const window = 7;
+        const from = WeatherService.addDays(options.today, -7);
+        const to = WeatherService.addDays(options.today, WeatherService.normalsSpan);
+        const thisYear = Number(options.today.slice(0, 4));
+        const years = Array.from({ length: end - start + 1 }, (_, i) => start + i);
+        const daily = [];
+        let provider = null;
+        for (let i = 0; i < years.length; i += WeatherService.normalsBatchSize) {
+            const batch = await Promise.all(years.slice(i, i + WeatherService.normalsBatchSize).map(year => {
+                const offset = year - thisYear;
+                return this.provider.getDailyHistory(latitude, longitude, UnitSystem.fromPreset('metric'), {
+                    startDate: WeatherService.addYears(WeatherService.addDays(from, -window), offset),
+                    endDate: WeatherService.addYears(WeatherService.addDays(to, window), offset),
+                    signal: options.signal
+                });
+            }));
+            for (const data of batch) {
+                if (data === null || data === undefined) {
+                    return null;
+                }
+                if (!Array.isArray(data.daily)) {
+                    throw new MalformedResponseError('Invalid historical data format received from server');
+                }
+                provider = data.provider;
+                daily.push(...data.daily);
+            }
+        }
+
+        // Dates at the edges of the fetched weeks would average fewer days, so only the
+        // requested ones are kept
+        const normals = WeatherService.toNormals(daily, window);
+        const days = {};
+        for (let date = from; date <= to; date = WeatherService.addDays(date, 1)) {
+            days[date.slice(5)] = normals[date.slice(5)];
+        }
+        return { provider, period: { start, end }, days };
+    }
+
+    // True when `normals` has entries for `today` and the week before it
+    static coversDates(normals, today) {
+        return [WeatherService.addDays(today, -7), today].every(date => !!normals.days[date.slice(5)]);
+    }
+
+    // "2026-03-01" + -1 -> "2026-02-28"
+    static addDays(date, offset) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10);
+    }
+
+    // "2024-02-29" + -1 -> "2023-03-01"; a 29 February that does not exist rolls over
+    static addYears(date, offset) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year + offset, month - 1, day)).toISOString().slice(0, 10);
+    }
+
+    // Daily records -> { "MM-DD": { temperatureMax, temperatureMin, precipitation } }, each the
+    // mean of every value within `window` days of that date in any year
+    static toNormals(daily, window = 7) {
+        const fields = ['temperatureMax', 'temperatureMin', 'precipitation'];
+        // Slots follow a leap year so that 29 February has its own
+        const slotCount = 366;
+        const slotOf = (date) => {
+            const [, month, day] = date.split('-').map(Number);
+            return Math.round((Date.UTC(2000, month - 1, day) - Date.UTC(2000, 0, 1)) / 86400000);
+        };
+        const sums = Array.from({ length: slotCount }, () => fields.map(() => ({ total: 0, count: 0 })));
+        daily.forEach(day => {
+            const slot = sums[slotOf(day.date)];
+            fields.forEach((field, i) => {
+                if (typeof day[field] === 'number') {
+                    slot[i].total += day[field];
+                    slot[i].count++;
+                }
+            });
+        });
+
+        const normals = {};
+        for (let slot = 0; slot < slotCount; slot++) {
+            const key = new Date(Date.UTC(2000, 0, 1 + slot)).toISOString().slice(5, 10);
+            normals[key] = {};
+            fields.forEach((field, i) => {
+                let total = 0;
+                let count = 0;
+                for (let offset = -window; offset <= window; offset++) {
+                    const sum = sums[(slot + offset + slotCount) % slotCount][i];
+                    total += sum.total;
+                    count += sum.count;
+                }
+                normals[key][field] = count > 0 ? Math.round((total / count) * 10) / 10 : null;
+            });
+        }
+        return normals;
+    }
+
+    // Invalid queries resolve to an empty list; request failures reject so callers
+    // can tell "no matches" apart from "search unavailable"
+    async searchCities(query, options = {}) {
+        try {
+            // Validate search query
+            if (!NetworkUtils.validateCityName(query)) {
+                return []; // Return empty array for invalid queries
+            }
+        } catch (error) {
+            return [];
+        }
+        
+        const results = await this.provider.searchLocations(query, { count: 5, signal: options.signal, language: options.language });
+        return results || [];
+    }
+
+    async reverseGeocode(latitude, longitude, options = {}) {
+        try {
+            const location = await this.provider.reverseGeocode(latitude, longitude, { signal: options.signal, language: options.language });
+            if (location) {
+                return location;
+            }
+        } catch (error) {
+            if (error instanceof CancelledError) {
+                throw error;
+            }
+            console.warn('Reverse geocoding failed:', error);
+        }
+        
+        // The place is unknown or the lookup failed: name it by its coordinates. `unresolved`
+        // keeps the placeholder out of the cache so a later lookup can still find the real name.
+        return {
+            name: `${Number(latitude).toFixed(2)}, ${Number(longitude).toFixed(2)}`,
+            country: '',
+            admin1: '',
+            latitude: latitude,
+            longitude: longitude,
+            unresolved: true
+        };
+    }
+}
+
+// Reference period for climate normals, in whole years
+WeatherService.normalsPeriod = [1991, 2020];
+
+// Climate normals cover this many days past today, so cached ones stay usable for a while
+WeatherService.normalsSpan = 30;
+
+// Reference years requested at once when fetching climate normals
+WeatherService.normalsBatchSize = 6;
+
+// Persistent response cache backed by localStorage
+class WeatherCache {
+    constructor(storage = WeatherCache.getStorage(), prefix = 'weatherWidget.cache.') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    // localStorage can be missing or throw (private browsing, disabled cookies)
+    static getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Round to ~1 km so nearby lookups share an entry
+    static coordinateKey(latitude, longitude) {
+        return `${Number(latitude).toFixed(2)},${Number(longitude).toFixed(2)}`;
+    }
+
+    get(key) {
+        if (!this.storage) return null;
+        try {
+            const entry = JSON.parse(this.storage.getItem(this.prefix + key));
+            if (entry && typeof entry.storedAt === 'number' && 'data' in entry) {
+                return entry;
+            }
+        } catch (error) {
+            console.warn('Failed to read cache entry:', error);
+        }
+        return null;
+    }
+
+    set(key, data) {
+        if (!this.storage) return;
+        const value = JSON.stringify({ storedAt: Date.now(), data: data });
+        try {
+            this.storage.setItem(this.prefix + key, value);
+        } catch (error) {
+            // Most likely over quota - evict the oldest half and try once more
+            this.evictOldest(0.5);
+            try {
+                this.storage.setItem(this.prefix + key, value);
+            } catch (retryError) {
+                console.warn('Failed to write cache entry:', retryError);
+            }
+        }
+    }
+
+    age(entry) {
+        return Date.now() - entry.storedAt;
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    evictOldest(fraction) {
+        if (!this.storage) return;
+        const entries = this.keys().map(key => {
+            let storedAt = 0;
+            try {
+                storedAt = JSON.parse(this.storage.getItem(key)).storedAt || 0;
+            } catch (error) {
+                // Unreadable entries are evicted first
+            }
+            return { key, storedAt };
+        }).sort((a, b) => a.storedAt - b.storedAt);
+
+        const count = Math.max(1, Math.ceil(entries.length * fraction));
+        entries.slice(0, count).forEach(entry => this.storage.removeItem(entry.key));
+    }
+
+    clear() {
+        if (!this.storage) return;
+        this.keys().forEach(key => this.storage.removeItem(key));
+    }
+}
+
+// Caching layer in front of WeatherService with stale-while-revalidate and offline fallback
+class CachedWeatherService {
+    constructor(service = new WeatherService(), cache = new WeatherCache(), options = {}) {
+        this.service = service;
+        this.cache = cache;
+        this.options = {
+            forecastTTL: 10 * 60 * 1000,            // serve without revalidating for 10 minutes
+            forecastStaleTTL: 6 * 60 * 60 * 1000,   // serve + revalidate in background for 6 hours
+            forecastMaxAge: 7 * 24 * 60 * 60 * 1000, // keep as offline fallback for a week
+            geocodingTTL: 30 * 24 * 60 * 60 * 1000,
+            searchTTL: 24 * 60 * 60 * 1000,
+            airQualityTTL: 30 * 60 * 1000,          // air quality is modelled hourly
+            airQualityMaxAge: 12 * 60 * 60 * 1000,  // fallback when the request fails
+            recentHistoryTTL: 60 * 60 * 1000,       // yesterday's values settle within hours
+            climateNormalsTTL: 90 * 24 * 60 * 60 * 1000, // a closed reference period never changes
+            ...options
+        };
+        // Entries are namespaced per provider so backends never serve each other's data
+        this.namespace = service.provider ? service.provider.id : 'default';
+    }
+
+    // Stale data is a fine answer to a failed request, but not to bad input or a cancellation
+    canFallBack(error) {
+        return !(error instanceof ValidationError) && !(error instanceof CancelledError);
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    // Attach cache metadata without mutating the stored copy
+    withCacheInfo(data, entry, info) {
+        return {
+            ...data,
+            cache: {
+                storedAt: entry ? entry.storedAt : Date.now(),
+                stale: false,
+                revalidating: false,
+                offline: false,
+                ...info
+            }
+        };
+    }
+
+    async getWeatherData(latitude, longitude, units = UnitSystem.getDefault(), options = {}) {
+        const { onRevalidate, onRevalidateError, signal, forceRefresh = false } = options;
+        const unitKey = Object.values(units.toApiParams()).join('|');
+        const key = `forecast:${this.namespace}:${WeatherCache.coordinateKey(latitude, longitude)}:${unitKey}`;
+        const entry = this.cache.get(key);
+        const age = entry ? this.cache.age(entry) : Infinity;
+
+        if (entry && age < this.options.forecastTTL && !forceRefresh) {
+            return this.withCacheInfo(entry.data, entry);
+        }
+
+        if (entry && age < this.options.forecastMaxAge && this.isOffline()) {
+            return this.withCacheInfo(entry.data, entry, { stale: true, offline: true });
+        }
+
+        if (entry && age < this.options.forecastStaleTTL && !forceRefresh) {
+            // Serve the cached copy now and refresh it behind the scenes
+            this.service.getWeatherData(latitude, longitude, units)
+                .then(data => {
+                    this.cache.set(key, data);
+                    if (onRevalidate) onRevalidate(this.withCacheInfo(data, null));
+                })
+                .catch(error => {
+                    console.warn('Background weather refresh failed:', error);
+                    if (onRevalidateError) {
+                        onRevalidateError(error, this.withCacheInfo(entry.data, entry, { stale: true, offline: true }));
+                    }
+                });
+            return this.withCacheInfo(entry.data, entry, { stale: true, revalidating: true });
+        }
+
+        try {
+            const data = await this.service.getWeatherData(latitude, longitude, units, { signal });
+            this.cache.set(key, data);
+            return this.withCacheInfo(data, null);
+        } catch (error) {
+            if (entry && age < this.options.forecastMaxAge && this.canFallBack(error)) {
+                console.warn('Weather request failed, using cached forecast:', error);
+                return this.withCacheInfo(entry.data, entry, { stale: true, offline: true });
+            }
+            throw error;
+        }
+    }
+
+    async getAirQuality(latitude, longitude, options = {}) {
+        const key = `airquality:${this.namespace}:${WeatherCache.coordinateKey(latitude, longitude)}`;
+        const entry = this.cache.get(key);
+        const age = entry ? this.cache.age(entry) : Infinity;
+
+        if (entry && (age < this.options.airQualityTTL || this.isOffline()) && !options.forceRefresh) {
+            return this.withCacheInfo(entry.data, entry);
+        }
+
+        try {
+            const data = await this.service.getAirQuality(latitude, longitude, { signal: options.signal });
+            if (data === null) {
+                return null;
+            }
+            this.cache.set(key, data);
+            return this.withCacheInfo(data, null);
+        } catch (error) {
+            if (entry && age < this.options.airQualityMaxAge && this.canFallBack(error)) {
+                console.warn('Air quality request failed, using cached data:', error);
+                return this.withCacheInfo(entry.data, entry, { stale: true, offline: true });
+            }
+            throw error;
+        }
+    }
+
+    // One entry per place and units; it is only good while it ends the day before `options.today`
+    async getRecentHistory(latitude, longitude, units = UnitSystem.getDefault(), options = {}) {
+        const unitKey = Object.values(units.toApiParams()).join('|');
+        const key = `history:${this.namespace}:${WeatherCache.coordinateKey(latitude, longitude)}:${unitKey}`;
+        const entry = this.cache.get(key);
+        const age = entry ? this.cache.age(entry) : Infinity;
+        const current = entry && entry.data.daily.length > 0 &&
+            entry.data.daily[entry.data.daily.length - 1].date === WeatherService.addDays(options.today, -1);
+
+        if (current && (age < this.options.recentHistoryTTL || this.isOffline()) && !options.forceRefresh) {
+            return this.withCacheInfo(entry.data, entry);
+        }
+
+        try {
+            const data = await this.service.getRecentHistory(latitude, longitude, units, options);
+            if (data === null) {
+                return null;
+            }
+            this.cache.set(key, data);
+            return this.withCacheInfo(data, null);
+        } catch (error) {
+            if (current && this.canFallBack(error)) {
+                console.warn('History request failed, using cached data:', error);
+                return this.withCacheInfo(entry.data, entry, { stale: true, offline: true });
+            }
+            throw error;
+        }
+    }
+
+    async getClimateNormals(latitude, longitude, options = {}) {
+        const period = (options.period || WeatherService.normalsPeriod).join('-');
+        const key = `normals:${this.namespace}:${WeatherCache.coordinateKey(latitude, longitude)}:${period}`;
+        const entry = this.cache.get(key);
+
+        // Stored normals cover a few weeks of dates; past those they are fetched again
+        const covers = entry && WeatherService.coversDates(entry.data, options.today);
+        if (entry && ((covers && this.cache.age(entry) < this.options.climateNormalsTTL) || this.isOffline())) {
+            return entry.data;
+        }
+
+        try {
+            const data = await this.service.getClimateNormals(latitude, longitude, options);
+            if (data !== null) {
+                this.cache.set(key, data);
+            }
+            return data;
+        } catch (error) {
+            if (entry && this.canFallBack(error)) {
+                return entry.data;
+            }
+            throw error;
+        }
+    }
+
+    async getCoordinates(cityName, options = {}) {
+        const key = `geocode:${this.namespace}:${options.language || 'en'}:${String(cityName).trim().toLowerCase()}`;
+        const entry = this.cache.get(key);
+
+        if (entry && (this.cache.age(entry) < this.options.geocodingTTL || this.isOffline())) {
+            return entry.data;
+        }
+
+        try {
+            const location = await this.service.getCoordinates(cityName, options);
+            this.cache.set(key, location);
+            return location;
+        } catch (error) {
+            if (entry && this.canFallBack(error)) {
+                console.warn('Geocoding failed, using cached location:', error);
+                return entry.data;
+            }
+            throw error;
+        }
+    }
+
+    async searchCities(query, options = {}) {
+        const key = `search:${this.namespace}:${options.language || 'en'}:${String(query).trim().toLowerCase()}`;
+        const entry = this.cache.get(key);
+
+        if (entry && (this.cache.age(entry) < this.options.searchTTL || this.isOffline())) {
+            return entry.data;
+        }
+
+        try {
+            const results = await this.service.searchCities(query, options);
+            this.cache.set(key, results);
+            return results;
+        } catch (error) {
+            if (entry && this.canFallBack(error)) {
+                console.warn('City search failed, using cached results:', error);
+                return entry.data;
+            }
+            throw error;
+        }
+    }
+
+    async reverseGeocode(latitude, longitude, options = {}) {
+        const key = `reverse:${this.namespace}:${options.language || 'en'}:${WeatherCache.coordinateKey(latitude, longitude)}`;
+        const entry = this.cache.get(key);
+
+        if (entry && this.cache.age(entry) < this.options.geocodingTTL) {
+            return { ...entry.data, latitude, longitude };
+        }
+
+        const location = await this.service.reverseGeocode(latitude, longitude, options);
+        if (!location.unresolved) {
+            this.cache.set(key, location);
+        } else if (entry) {
+            return { ...entry.data, latitude, longitude };
+        }
+        return location;
+    }
+}
+
+// Wall-clock helpers for the searched location, driven by the forecast's timezone metadata.
+// Every hourly/daily timestamp in a Forecast is local to the location, not the viewer.
+class LocationClock {
+    constructor(timezone = null, utcOffsetSeconds = 0, abbreviation = '', localeTag = undefined) {
+        this.timezone = LocationClock.isValidTimeZone(timezone) ? timezone : null;
+        this.utcOffsetSeconds = utcOffsetSeconds || 0;
+        this.abbreviation = abbreviation || '';
+        this.localeTag = localeTag;
+        this.offsetFormatter = null;
+    }
+
+    static fromForecast(data, localeTag = undefined) {
+        const timezone = data.timezone || {};
+        return new LocationClock(timezone.name, timezone.utcOffsetSeconds, timezone.abbreviation, localeTag);
+    }
+
+    static isValidTimeZone(timezone) {
+        if (!timezone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // "2024-05-01T13:00" or "2024-05-01" in location time -> epoch milliseconds. The offset is
+    // the zone's own for that instant, so times after a daylight saving change stay right.
+    toEpoch(localISO) {
+        const [datePart, timePart = '00:00'] = localISO.split('T');
+        const [year, month, day] = datePart.split('-').map(Number);
+        const [hour, minute] = timePart.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        const guess = wallClock - this.offsetAt(wallClock - this.utcOffsetSeconds * 1000) * 1000;
+        // A second pass settles times near a change, when the first guess used the other offset
+        return wallClock - this.offsetAt(guess) * 1000;
+    }
+
+    // UTC offset of the location's zone at an instant, in seconds; the forecast's fixed offset
+    // when the zone name is unknown
+    offsetAt(epoch) {
+        if (!this.timezone) return this.utcOffsetSeconds;
+        if (!this.offsetFormatter) {
+            this.offsetFormatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        const parts = {};
+        this.offsetFormatter.formatToParts(new Date(epoch)).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - Math.floor(epoch / 1000) * 1000) / 1000);
+    }
+
+    // Index of the hourly slot containing `now` (falls back to 0 before the first slot)
+    findCurrentIndex(times, now = Date.now()) {
+        for (let i = times.length - 1; i >= 0; i--) {
+            if (this.toEpoch(times[i]) <= now) {
+                return i;
+            }
+        }
+        return 0;
+    }
+
+    // Weekday of a "YYYY-MM-DD" local date; computed in UTC so the viewer's zone can't shift it
+    dayOfWeek(localDate) {
+        const [year, month, day] = localDate.split('T')[0].split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    }
+
+    // Format an instant as the location's wall-clock time
+    formatTime(epoch, options = {hour: '2-digit', minute: '2-digit'}) {
+        if (this.timezone) {
+            return new Date(epoch).toLocaleTimeString(this.localeTag, { ...options, timeZone: this.timezone });
+        }
+        // Unknown zone name: shift by the fixed offset and format as UTC
+        return new Date(epoch + this.utcOffsetSeconds * 1000).toLocaleTimeString(this.localeTag, { ...options, timeZone: 'UTC' });
+    }
+
+    // Format an instant in the viewer's own timezone
+    formatViewerTime(epoch, options = {hour: '2-digit', minute: '2-digit'}) {
+        return new Date(epoch).toLocaleTimeString(this.localeTag, options);
+    }
+
+    differsFromViewer(now = Date.now()) {
+        const viewerOffsetSeconds = -new Date(now).getTimezoneOffset() * 60;
+        return viewerOffsetSeconds !== this.utcOffsetSeconds;
+    }
+}
+
+// Data processing layer
+class WeatherDataProcessor {
+    static processCurrentWeather(data, locationInfo, units = UnitSystem.getDefault(), locale = new Locale()) {
+        const current = data.current;
+        const today = data.daily[0];
+        const clock = LocationClock.fromForecast(data, locale.tag);
+        const now = Date.now();
+        // current.time is the observation time in location time; fall back to now if missing
+        const observedAt = current.time ? clock.toEpoch(current.time) : now;
+        
+        return {
+            location: {
+                name: locationInfo.name,
+                country: locationInfo.country,
+                admin1: locationInfo.admin1,
+                admin2: locationInfo.admin2 || null,
+                countryCode: locationInfo.countryCode || null,
+                population: locationInfo.population || null,
+                latitude: locationInfo.latitude,
+                longitude: locationInfo.longitude,
+                fullName: [locationInfo.name, locationInfo.admin1, locationInfo.country].filter(Boolean).join(', '),
+                // Metres; only set for the device's own position
+                accuracy: locationInfo.accuracy !== undefined ? locationInfo.accuracy : null,
+                timezone: clock.timezone,
+                timezoneAbbreviation: clock.abbreviation,
+                differsFromViewer: clock.differsFromViewer(now)
+            },
+            current: {
+                temperature: Math.round(current.temperature),
+                feelsLike: Math.round(current.feelsLike),
+                dewPoint: this.round(current.dewPoint),
+                humidity: current.humidity,
+                windSpeed: Math.round(current.windSpeed),
+                windDirection: current.windDirection,
+                windGusts: this.round(current.windGusts),
+                pressure: current.pressure ? units.roundPressure(units.convertPressure(current.pressure)) : null,
+                visibility: current.visibility ? Math.round(units.convertDistance(current.visibility)) : null,
+                uvIndex: this.round(current.uvIndex, 1),
+                uvLevel: this.getUvLevel(current.uvIndex),
+                weatherCode: current.weatherCode,
+                description: this.getWeatherDescription(current.weatherCode, locale),
+                icon: this.getWeatherIcon(current.weatherCode),
+                isDay: this.isDaytime(current.time, today.sunrise, today.sunset),
+                observedAt: observedAt,
+                time: clock.formatTime(observedAt),
+                viewerTime: clock.formatViewerTime(observedAt)
+            },
+            today: {
+                maxTemp: Math.round(today.temperatureMax),
+                minTemp: Math.round(today.temperatureMin),
+                feelsLikeMax: Math.round(today.feelsLikeMax),
+                feelsLikeMin: Math.round(today.feelsLikeMin),
+                precipitation: units.roundPrecipitation(today.precipitation),
+                precipitationProbability: this.round(today.precipitationProbability),
+                maxWind: Math.round(today.windSpeedMax),
+                maxGusts: this.round(today.windGustsMax),
+                uvIndexMax: this.round(today.uvIndexMax, 1),
+                sunrise: today.sunrise ? clock.formatTime(clock.toEpoch(today.sunrise)) : null,
+                sunset: today.sunset ? clock.formatTime(clock.toEpoch(today.sunset)) : null
+            },
+            hourly: this.processHourlyForecast(data.hourly, clock, now),
+            hourlySeries: this.processHourlySeries(data.hourly, clock, units, locale, now),
+            units: units.labels,
+            cache: data.cache || null,
+            fetchedAt: data.cache ? data.cache.storedAt : now
+        };
+    }
+
+    static processHourlyForecast(hourly, clock = new LocationClock(), now = Date.now()) {
+        // Hourly times are in the location's timezone, so locate "now" from the data itself
+        const currentIndex = clock.findCurrentIndex(hourly.map(slot => slot.time), now);
+        
+        // Get next 12 hours starting from current hour
+        return hourly.slice(currentIndex, currentIndex + 12).map(slot => {
+            const epoch = clock.toEpoch(slot.time);
+            return {
+                time: clock.formatTime(epoch),
+                viewerTime: clock.formatViewerTime(epoch),
+                epoch: epoch,
+                hour: Number(slot.time.split('T')[1].split(':')[0]),
+                temperature: Math.round(slot.temperature),
+                precipitationProbability: this.round(slot.precipitationProbability),
+                windGusts: this.round(slot.windGusts),
+                weatherCode: slot.weatherCode,
+                icon: this.getWeatherIcon(slot.weatherCode)
+            };
+        });
+    }
+
+    // Every hourly slot, for the chart; temperatures keep one decimal so the lines stay smooth
+    static processHourlySeries(hourly, clock = new LocationClock(), units = UnitSystem.getDefault(), locale = new Locale(), now = Date.now()) {
+        const points = hourly.map(slot => {
+            const epoch = clock.toEpoch(slot.time);
+            const roundTenth = (value) => typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+            return {
+                time: clock.formatTime(epoch),
+                localTime: slot.time,
+                epoch: epoch,
+                date: slot.time.split('T')[0],
+                hour: Number(slot.time.split('T')[1].split(':')[0]),
+                dayName: this.getShortDayName(clock.dayOfWeek(slot.time), locale),
+                temperature: roundTenth(slot.temperature),
+                feelsLike: roundTenth(slot.feelsLike),
+                precipitation: units.roundPrecipitation(slot.precipitation),
+                precipitationProbability: this.round(slot.precipitationProbability),
+                windGusts: this.round(slot.windGusts),
+                weatherCode: slot.weatherCode,
+                description: this.getWeatherDescription(slot.weatherCode, locale),
+                icon: this.getWeatherIcon(slot.weatherCode)
+            };
+        });
+        return { points: points, now: now };
+    }
+
+    static processForecast(data, units = UnitSystem.getDefault(), locale = new Locale()) {
+        // Start from tomorrow (index 1) - "tomorrow" at the location, not for the viewer
+        return this.processDays(data, units, locale).slice(1);
+    }
+
+    // Every forecast day including today, keyed by its local date for the day drill-down
+    static processDays(data, units = UnitSystem.getDefault(), locale = new Locale()) {
+        const clock = LocationClock.fromForecast(data, locale.tag);
+        
+        return data.daily.map(day => {
+            const dayOfWeek = clock.dayOfWeek(day.date);
+            return {
+                date: new Date(clock.toEpoch(day.date)),
+                localDate: day.date,
+                dayName: this.getDayName(dayOfWeek, locale),
+                shortDay: this.getShortDayName(dayOfWeek, locale),
+                weatherCode: day.weatherCode,
+                description: this.getWeatherDescription(day.weatherCode, locale),
+                icon: this.getWeatherIcon(day.weatherCode),
+                maxTemp: Math.round(day.temperatureMax),
+                minTemp: Math.round(day.temperatureMin),
+                feelsLikeMax: Math.round(day.feelsLikeMax),
+                feelsLikeMin: Math.round(day.feelsLikeMin),
+                precipitation: units.roundPrecipitation(day.precipitation),
+                precipitationProbability: this.round(day.precipitationProbability),
+                maxWind: Math.round(day.windSpeedMax),
+                maxGusts: this.round(day.windGustsMax),
+                uvIndexMax: this.round(day.uvIndexMax, 1),
+                sunrise: day.sunrise ? clock.formatTime(clock.toEpoch(day.sunrise)) : null,
+                sunset: day.sunset ? clock.formatTime(clock.toEpoch(day.sunset)) : null,
+                // "YYYY-MM-DDTHH:MM" in location time, for exports
+                localSunrise: day.sunrise || null,
+                localSunset: day.sunset || null,
+                units: units.labels
+            };
+        });
+    }
+
+    // Several places' processed days lined up by local date for the comparison table. `places`
+    // are { days } (null while loading or failed); every row has one cell per place, null where
+    // that place has no forecast for the date. With two or more places to compare, cells are
+    // marked warmest (highest high) and driest (least precipitation) unless all are equal.
+    static alignDays(places) {
+        const dates = Array.from(new Set(places.flatMap(place => (place.days || []).map(day => day.localDate)))).sort();
+        return dates.map(date => {
+            const days = places.map(place => (place.days || []).find(day => day.localDate === date) || null);
+            const present = days.filter(Boolean);
+            const best = (field, pick) => {
+                const values = present.map(day => day[field]);
+                const value = pick(...values);
+                return present.length >= 2 && values.some(other => other !== value) ? value : null;
+            };
+            const warmest = best('maxTemp', Math.max);
+            const driest = best('precipitation', Math.min);
+            return {
+                date: date,
+                cells: days.map(day => day && {
+                    day: day,
+                    warmest: day.maxTemp === warmest,
+                    driest: day.precipitation === driest
+                })
+            };
+        });
+    }
+
+    // Headline AQI (US scale, else European), pollutants, pollen and the next 24 hours
+    static processAirQuality(data, locale = new Locale(), now = Date.now()) {
+        const current = data.current;
+        const clock = LocationClock.fromForecast(data, locale.tag);
+        const scale = typeof current.usAqi === 'number' ? 'us' : 'european';
+        const field = scale === 'us' ? 'usAqi' : 'europeanAqi';
+        if (typeof current[field] !== 'number') {
+            throw new MalformedResponseError('Air quality index missing from response');
+        }
+
+        const pollutants = ['pm25', 'pm10', 'ozone']
+            .filter(id => typeof current[id] === 'number')
+            .map(id => ({ id, value: Math.round(current[id]) }));
+        const pollen = Object.entries(current.pollen || {})
+            .filter(([, value]) => typeof value === 'number')
+            .map(([type, value]) => ({ type, value: this.round(value, 1), level: this.getPollenLevel(value) }));
+
+        const start = clock.findCurrentIndex(data.hourly.map(slot => slot.time), now);
+        const trend = data.hourly.slice(start, start + 24)
+            .filter(slot => typeof slot[field] === 'number')
+            .map(slot => {
+                const epoch = clock.toEpoch(slot.time);
+                return {
+                    epoch: epoch,
+                    time: clock.formatTime(epoch),
+                    value: Math.round(slot[field]),
+                    category: this.getAqiCategory(slot[field], scale)
+                };
+            });
+
+        const category = this.getAqiCategory(current[field], scale);
+        return {
+            scale: scale,
+            aqi: Math.round(current[field]),
+            category: category,
+            // The other scale, when the provider reports both
+            europeanAqi: scale === 'us' && typeof current.europeanAqi === 'number'
+                ? { value: Math.round(current.europeanAqi), category: this.getAqiCategory(current.europeanAqi, 'european') }
+                : null,
+            pollutants: pollutants,
+            pollen: pollen,
+            trend: trend,
+            observedAt: current.time ? clock.toEpoch(current.time) : now,
+            cache: data.cache || null
+        };
+    }
+
+    // Upper bounds of the US EPA and European (EEA) index bands
+    static get aqiCategories() {
+        return {
+            us: [
+                { max: 50, id: 'good' },
+                { max: 100, id: 'moderate' },
+                { max: 150, id: 'unhealthySensitive' },
+                { max: 200, id: 'unhealthy' },
+                { max: 300, id: 'veryUnhealthy' },
+                { max: Infinity, id: 'hazardous' }
+            ],
+            european: [
+                { max: 20, id: 'good' },
+                { max: 40, id: 'fair' },
+                { max: 60, id: 'moderate' },
+                { max: 80, id: 'poor' },
+                { max: 100, id: 'veryPoor' },
+                { max: Infinity, id: 'extremelyPoor' }
+            ]
+        };
+    }
+
+    static getAqiCategory(value, scale = 'us') {
+        return this.aqiCategories[scale].find(band => value <= band.max).id;
+    }
+
+    // Rough grains/m³ bands; clinical thresholds differ by species
+    static getPollenLevel(value) {
+        if (value < 1) return 'none';
+        if (value < 10) return 'low';
+        if (value < 50) return 'moderate';
+        if (value < 200) return 'high';
+        return 'veryHigh';
+    }
+
+    // The past week as observed and today's forecast high against the climate normal.
+    // `recent` is DailyHistory in the active units, `normals` comes from getClimateNormals
+    // (metric) and `days` are the processed forecast days, today first; either source may be null.
+    static processClimate(recent, normals, days, units = UnitSystem.getDefault(), locale = new Locale()) {
+        const normalFor = (date) => {
+            const normal = normals && normals.days[date.slice(5)];
+            if (!normal) return null;
+            return {
+                temperatureMax: typeof normal.temperatureMax === 'number' ? Math.round(units.fromCelsius(normal.temperatureMax)) : null,
+                temperatureMin: typeof normal.temperatureMin === 'number' ? Math.round(units.fromCelsius(normal.temperatureMin)) : null,
+                precipitation: typeof normal.precipitation === 'number' ? units.fromMillimetres(normal.precipitation) : null
+            };
+        };
+        // Totals only when every day has a value
+        const total = (values) => values.length > 0 && values.every(value => typeof value === 'number')
+            ? units.roundPrecipitation(values.reduce((sum, value) => sum + value, 0))
+            : null;
+
+        const past = recent ? recent.daily.map(day => ({
+            date: day.date,
+            dayName: locale.date(day.date, { weekday: 'short' }),
+            fullDate: locale.date(day.date),
+            maxTemp: this.round(day.temperatureMax),
+            minTemp: this.round(day.temperatureMin),
+            precipitation: typeof day.precipitation === 'number' ? units.roundPrecipitation(day.precipitation) : null
+        })) : [];
+
+        const today = days[0];
+        const normal = today ? normalFor(today.localDate) : null;
+        let comparison = null;
+        if (normal && normal.temperatureMax !== null) {
+            const anomaly = today.maxTemp - normal.temperatureMax;
+            comparison = {
+                date: today.localDate,
+                maxTemp: today.maxTemp,
+                normalMax: normal.temperatureMax,
+                normalMin: normal.temperatureMin,
+                anomaly: anomaly,
+                category: anomaly > 0 ? 'warmer' : anomaly < 0 ? 'cooler' : 'normal'
+            };
+        }
+
+        return {
+            period: normals ? normals.period : null,
+            today: comparison,
+            past: past,
+            pastPrecipitation: total(past.map(day => day.precipitation)),
+            normalPrecipitation: normals ? total(past.map(day => (normalFor(day.date) || {}).precipitation)) : null,
+            cache: recent ? recent.cache || null : null,
+            units: units.labels
+        };
+    }
+
+    // Round an optional variable; missing values stay null so the UI can leave them out
+    static round(value, decimals = 0) {
+        if (typeof value !== 'number' || isNaN(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    // Local "YYYY-MM-DDTHH:MM" times compare correctly as strings. Without sunrise and sunset
+    // (polar day or night, or a provider that lacks them) 06:00-18:00 counts as day.
+    static isDaytime(time, sunrise, sunset) {
+        if (!time) return true;
+        if (sunrise && sunset) {
+            return time >= sunrise && time < sunset;
+        }
+        const hour = Number(time.split('T')[1].split(':')[0]);
+        return hour >= 6 && hour < 18;
+    }
+
+    // WHO UV index categories
+    static getUvLevel(index) {
+        if (typeof index !== 'number') return null;
+        if (index < 3) return 'low';
+        if (index < 6) return 'moderate';
+        if (index < 8) return 'high';
+        if (index < 11) return 'veryHigh';
+        return 'extreme';
+    }
+
+    // Descriptions live in the locale's catalog under weather.<WMO code>
+    static getWeatherDescription(code, locale = new Locale()) {
+        return locale.weatherDescription(code);
+    }
+
+    static getWeatherIcon(code) {
+        const iconMap = {
+            0: '☀️',
+            1: '🌤️',
+            2: '⛅',
+            3: '☁️',
+            45: '🌫️',
+            48: '🌫️',
+            51: '🌦️',
+            53: '🌦️',
+            55: '🌦️',
+            56: '🌦️',
+            57: '🌦️',
+            61: '🌧️',
+            63: '🌧️',
+            65: '🌧️',
+            66: '🌧️',
+            67: '🌧️',
+            71: '🌨️',
+            73: '🌨️',
+            75: '🌨️',
+            77: '🌨️',
+            80: '🌦️',
+            81: '🌦️',
+            82: '🌦️',
+            85: '🌨️',
+            86: '🌨️',
+            95: '⛈️',
+            96: '⛈️',
+            99: '⛈️'
+        };
+        
+        return iconMap[code] || '❓';
+    }
+
+    // Accepts a Date or a 0-6 weekday index
+    static getDayName(date, locale = new Locale()) {
+        return locale.weekday(typeof date === 'number' ? date : date.getDay(), 'long');
+    }
+
+    static getShortDayName(date, locale = new Locale()) {
+        return locale.weekday(typeof date === 'number' ? date : date.getDay(), 'short');
+    }
+
+    // 1234567 -> "1.2M", 66000 -> "66K" (in the locale's compact notation)
+    static formatPopulation(population, locale = new Locale()) {
+        return locale.compact(population);
+    }
+
+    static getWindDirection(degrees, locale = new Locale()) {
+        return locale.compass(degrees);
+    }
+}
+
+// Files and text built from processed weather (processCurrentWeather plus its `days`), in the
+// units it was processed in: CSV and JSON of the daily and hourly forecast, an iCalendar file
+// with one all-day event per day, and a short plain-text summary for sharing. Numbers are
+// written plain for other programs to read; only descriptions and event text are localized.
+class ForecastExport {
+    static dailyRecords(currentWeather) {
+        return currentWeather.days.map(day => ({
+            date: day.localDate,
+            weatherCode: day.weatherCode,
+            description: day.description,
+            temperatureMax: day.maxTemp,
+            temperatureMin: day.minTemp,
+            feelsLikeMax: day.feelsLikeMax,
+            feelsLikeMin: day.feelsLikeMin,
+            precipitation: day.precipitation,
+            precipitationProbability: day.precipitationProbability,
+            windSpeedMax: day.maxWind,
+            windGustsMax: day.maxGusts,
+            uvIndexMax: day.uvIndexMax,
+            sunrise: day.localSunrise,
+            sunset: day.localSunset
+        }));
+    }
+
+    static hourlyRecords(currentWeather) {
+        return currentWeather.hourlySeries.points.map(point => ({
+            time: point.localTime,
+            weatherCode: point.weatherCode,
+            description: point.description,
+            temperature: point.temperature,
+            feelsLike: point.feelsLike,
+            precipitation: point.precipitation,
+            precipitationProbability: point.precipitationProbability,
+            windGusts: point.windGusts
+        }));
+    }
+
+    static dailyCSV(currentWeather) {
+        return this.toCSV(this.dailyRecords(currentWeather), currentWeather.units);
+    }
+
+    static hourlyCSV(currentWeather) {
+        return this.toCSV(this.hourlyRecords(currentWeather), currentWeather.units);
+    }
+
+    // RFC 4180: a header row naming each field and its unit ("temperatureMax (°F)"), CRLF line
+    // ends, and quotes around values holding a comma, quote or line break
+    static toCSV(records, units) {
+        if (records.length === 0) return '';
+        const fields = Object.keys(records[0]);
+        const cell = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = fields.map(field => {
+            const unit = this.unitOf(field, units);
+            return cell(unit ? `${field} (${unit})` : field);
+        });
+        return [header, ...records.map(record => fields.map(field => cell(record[field])))]
+            .map(row => row.join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    static unitOf(field, units) {
+        const quantity = ForecastExport.fieldUnits[field];
+        if (!quantity) return null;
+        return quantity === 'percent' ? '%' : units[quantity];
+    }
+
+    static toJSON(currentWeather, now = Date.now()) {
+        const { location, current } = currentWeather;
+        return JSON.stringify({
+            generatedAt: new Date(now).toISOString(),
+            location: {
+                name: location.name,
+                admin1: location.admin1 || null,
+                country: location.country || null,
+                latitude: Number(location.latitude),
+                longitude: Number(location.longitude),
+                timezone: location.timezone
+            },
+            units: {
+                temperature: currentWeather.units.temperature,
+                windSpeed: currentWeather.units.windSpeed,
+                precipitation: currentWeather.units.precipitation,
+                precipitationProbability: '%'
+            },
+            current: {
+                observedAt: new Date(current.observedAt).toISOString(),
+                weatherCode: current.weatherCode,
+                description: current.description,
+                temperature: current.temperature,
+                feelsLike: current.feelsLike,
+                humidity: current.humidity,
+                windSpeed: current.windSpeed,
+                windDirection: current.windDirection,
+                windGusts: current.windGusts
+            },
+            daily: this.dailyRecords(currentWeather),
+            hourly: this.hourlyRecords(currentWeather)
+        }, null, 2);
+    }
+
+    // One all-day event per forecast day, titled like "☀️ 72°/55° Clear sky". UIDs are stable
+    // per place and date, so importing a newer export updates the events instead of doubling them.
+    static toICS(currentWeather, locale = new Locale(), now = Date.now()) {
+        const location = currentWeather.location;
+        const units = currentWeather.units;
+        const place = `${Number(location.latitude).toFixed(2)}_${Number(location.longitude).toFixed(2)}`;
+        const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const compactDate = (date) => date.replace(/-/g, '');
+        const events = currentWeather.days.map(day => {
+            const details = [
+                `${locale.t('details.precipitation')}: ${locale.measure(day.precipitation, units.precipitation)}${day.precipitationProbability !== null ? ` (${locale.percent(day.precipitationProbability)})` : ''}`,
+                `${locale.t('details.wind')}: ${locale.measure(day.maxWind, units.windSpeed)}`,
+                day.uvIndexMax !== null ? `${locale.t('details.uvIndex')}: ${locale.number(day.uvIndexMax)}` : null,
+                day.sunrise ? `${locale.t('details.sunrise')}: ${day.sunrise}` : null,
+                day.sunset ? `${locale.t('details.sunset')}: ${day.sunset}` : null
+            ].filter(Boolean);
+            return [
+                'BEGIN:VEVENT',
+                `UID:weather-${place}-${compactDate(day.localDate)}@weather-widget`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${compactDate(day.localDate)}`,
+                `DTEND;VALUE=DATE:${compactDate(WeatherService.addDays(day.localDate, 1))}`,
+                `SUMMARY:${this.escapeText(`${day.icon} ${locale.temperature(day.maxTemp)}/${locale.temperature(day.minTemp)} ${day.description}`)}`,
+                `DESCRIPTION:${this.escapeText(details.join('\n'))}`,
+                `LOCATION:${this.escapeText(location.fullName)}`,
+                `GEO:${Number(location.latitude)};${Number(location.longitude)}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            ];
+        });
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Weather Widget//Forecast export//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(locale.t('export.calendarName', { place: location.fullName }))}`,
+            ...events.flat(),
+            'END:VCALENDAR'
+        ];
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // iCalendar TEXT values escape backslashes, semicolons, commas and line breaks
+    static escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Content lines longer than 75 octets continue on lines starting with a space, split between
+    // characters rather than inside a UTF-8 sequence
+    static foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            // Continuation lines lose one octet to the leading space
+            if (octets + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    // The conditions now and the next few days, a line each
+    static summary(currentWeather, locale = new Locale(), days = 3) {
+        const { location, current } = currentWeather;
+        const units = currentWeather.units;
+        const lines = [
+            locale.t('export.summaryNow', {
+                place: location.fullName,
+                temperature: locale.temperature(current.temperature, units.temperature),
+                description: current.description,
+                feelsLike: locale.temperature(current.feelsLike, units.temperature)
+            }),
+            ...currentWeather.days.slice(0, days).map(day => {
+                const chance = day.precipitationProbability ? ` · 💧 ${locale.percent(day.precipitationProbability)}` : '';
+                return `${day.shortDay} ${day.icon} ${locale.temperature(day.maxTemp)}/${locale.temperature(day.minTemp)} ${day.description}${chance}`;
+            })
+        ];
+        return lines.join('\n');
+    }
+
+    // "weather-london-daily-2024-05-01.csv"
+    static fileName(currentWeather, extension, kind = '') {
+        const place = Markup.slug(currentWeather.location.name) || 'location';
+        const date = currentWeather.days.length > 0 ? currentWeather.days[0].localDate : '';
+        return [`weather-${place}`, kind, date].filter(Boolean).join('-') + `.${extension}`;
+    }
+}
+
+// The quantity (a UnitSystem label) or percentage behind each exported field
+ForecastExport.fieldUnits = {
+    temperatureMax: 'temperature',
+    temperatureMin: 'temperature',
+    feelsLikeMax: 'temperature',
+    feelsLikeMin: 'temperature',
+    temperature: 'temperature',
+    feelsLike: 'temperature',
+    precipitation: 'precipitation',
+    precipitationProbability: 'percent',
+    windSpeedMax: 'windSpeed',
+    windGustsMax: 'windSpeed',
+    windGusts: 'windSpeed'
+};
+
+// Severe weather alerts derived from forecast thresholds. These are heuristics on the
+// forecast, not official warnings from a meteorological service.
+class WeatherAlerts {
+    static get SEVERITY_RANK() {
+        return { severe: 3, warning: 2, advisory: 1 };
+    }
+
+    // Thresholds are metric (°C, km/h, mm) and converted to the active units when evaluated
+    static get defaultThresholds() {
+        return {
+            highWind: { warning: 50, severe: 75 },      // km/h, current or daily max
+            heavyRain: { warning: 25, severe: 50 },     // mm per day
+            extremeHeat: { warning: 32, severe: 40 },   // °C apparent temperature
+            extremeCold: { warning: -15, severe: -25 }, // °C apparent temperature
+            thunderstormHours: 12,                      // hourly look-ahead for thunderstorms
+            freezingPrecipitationHours: 24,             // hourly look-ahead for freezing rain/drizzle
+            lookaheadDays: 2                            // today and tomorrow
+        };
+    }
+
+    // Overrides are merged per threshold, so { highWind: { warning: 40 } } keeps the default severe level
+    static mergeThresholds(thresholds = {}) {
+        const config = { ...WeatherAlerts.defaultThresholds };
+        Object.entries(thresholds || {}).forEach(([name, value]) => {
+            const base = config[name];
+            config[name] = base && typeof base === 'object' && value && typeof value === 'object'
+                ? { ...base, ...value }
+                : value;
+        });
+        return config;
+    }
+
+    static evaluate(data, units = UnitSystem.getDefault(), thresholds = {}, locale = new Locale(), now = Date.now()) {
+        const config = WeatherAlerts.mergeThresholds(thresholds);
+        const clock = LocationClock.fromForecast(data, locale.tag);
+        const current = data.current;
+        const daily = data.daily;
+        const hourly = data.hourly;
+        const days = Math.min(config.lookaheadDays, daily.length);
+        const tempUnit = units.label('temperature');
+        const alerts = [];
+
+        const dayLabel = (index) => {
+            if (index <= 1) return locale.relative(index, 'day'); // "today" / "tomorrow"
+            return WeatherDataProcessor.getDayName(clock.dayOfWeek(daily[index].date), locale);
+        };
+
+        // High wind: strongest of the current reading and the daily maxima
+        let wind = { value: current.windSpeed, day: 0 };
+        for (let i = 0; i < days; i++) {
+            if (daily[i].windSpeedMax > wind.value) {
+                wind = { value: daily[i].windSpeedMax, day: i };
+            }
+        }
+        const windSeverity = WeatherAlerts.classify(wind.value, {
+            warning: units.fromKmh(config.highWind.warning),
+            severe: units.fromKmh(config.highWind.severe)
+        });
+        if (windSeverity) {
+            alerts.push({
+                id: `wind:${daily[wind.day].date}`,
+                type: 'wind',
+                severity: windSeverity,
+                icon: '💨',
+                title: locale.t(`alert.wind.${windSeverity}`),
+                message: locale.t('alert.wind.message', {
+                    speed: locale.measure(Math.round(wind.value), units.label('windSpeed')),
+                    day: dayLabel(wind.day)
+                })
+            });
+        }
+
+        // Heavy rain: daily precipitation totals
+        for (let i = 0; i < days; i++) {
+            const total = daily[i].precipitation || 0;
+            const severity = WeatherAlerts.classify(total, {
+                warning: units.fromMillimetres(config.heavyRain.warning),
+                severe: units.fromMillimetres(config.heavyRain.severe)
+            });
+            if (severity) {
+                alerts.push({
+                    id: `rain:${daily[i].date}`,
+                    type: 'rain',
+                    severity: severity,
+                    icon: '🌧️',
+                    title: locale.t(`alert.rain.${severity}`),
+                    message: locale.t('alert.rain.message', {
+                        amount: locale.measure(units.roundPrecipitation(total), units.label('precipitation')),
+                        day: dayLabel(i)
+                    })
+                });
+                break;
+            }
+        }
+
+        // Extreme heat / cold by apparent temperature
+        for (let i = 0; i < days; i++) {
+            const heatSeverity = WeatherAlerts.classify(daily[i].feelsLikeMax, {
+                warning: units.fromCelsius(config.extremeHeat.warning),
+                severe: units.fromCelsius(config.extremeHeat.severe)
+            });
+            if (heatSeverity) {
+                alerts.push({
+                    id: `heat:${daily[i].date}`,
+                    type: 'heat',
+                    severity: heatSeverity,
+                    icon: '🥵',
+                    title: locale.t(`alert.heat.${heatSeverity}`),
+                    message: locale.t('alert.heat.message', {
+                        temperature: locale.temperature(Math.round(daily[i].feelsLikeMax), tempUnit),
+                        day: dayLabel(i)
+                    })
+                });
+                break;
+            }
+        }
+        for (let i = 0; i < days; i++) {
+            const coldSeverity = WeatherAlerts.classify(daily[i].feelsLikeMin, {
+                warning: units.fromCelsius(config.extremeCold.warning),
+                severe: units.fromCelsius(config.extremeCold.severe)
+            }, 'below');
+            if (coldSeverity) {
+                alerts.push({
+                    id: `cold:${daily[i].date}`,
+                    type: 'cold',
+                    severity: coldSeverity,
+                    icon: '🥶',
+                    title: locale.t(`alert.cold.${coldSeverity}`),
+                    message: locale.t('alert.cold.message', {
+                        temperature: locale.temperature(Math.round(daily[i].feelsLikeMin), tempUnit),
+                        day: dayLabel(i)
+                    })
+                });
+                break;
+            }
+        }
+
+        // Thunderstorms and freezing precipitation from the hourly codes ahead of "now"
+        const start = clock.findCurrentIndex(hourly.map(slot => slot.time), now);
+        // Worst matching code now or within `hours`, and when it starts if not already happening
+        const scanHourly = (codes, hours) => {
+            let worst = codes.includes(current.weatherCode) ? current.weatherCode : null;
+            let startsAt = null;
+            const end = Math.min(start + hours, hourly.length);
+            for (let i = start; i < end; i++) {
+                const code = hourly[i].weatherCode;
+                if (!codes.includes(code)) continue;
+                if (worst === null && i > start) {
+                    startsAt = clock.toEpoch(hourly[i].time);
+                }
+                worst = worst === null ? code : Math.max(worst, code);
+            }
+            return worst === null ? null : { worst, startsAt };
+        };
+
+        const storm = scanHourly([95, 96, 99], config.thunderstormHours);
+        if (storm) {
+            const severity = storm.worst !== 95 ? 'severe' : 'warning'; // 96/99 bring hail
+            const description = WeatherDataProcessor.getWeatherDescription(storm.worst, locale);
+            alerts.push({
+                id: `thunderstorm:${daily[0].date}`,
+                type: 'thunderstorm',
+                severity: severity,
+                icon: '⛈️',
+                title: locale.t(`alert.thunderstorm.${severity}`),
+                message: storm.startsAt
+                    ? locale.t('alert.thunderstorm.from', { description, time: clock.formatTime(storm.startsAt) })
+                    : locale.t('alert.thunderstorm.within', { description, hours: config.thunderstormHours })
+            });
+        }
+
+        const freezing = scanHourly([56, 57, 66, 67], config.freezingPrecipitationHours);
+        if (freezing) {
+            const heavy = freezing.worst === 57 || freezing.worst === 67;
+            alerts.push({
+                id: `freezing:${daily[0].date}`,
+                type: 'freezing',
+                severity: heavy ? 'severe' : 'warning',
+                icon: '🧊',
+                title: locale.t('alert.freezing.title'),
+                message: locale.t('alert.freezing.message', {
+                    description: WeatherDataProcessor.getWeatherDescription(freezing.worst, locale)
+                })
+            });
+        }
+
+        const rank = WeatherAlerts.SEVERITY_RANK;
+        return alerts.sort((a, b) => rank[b.severity] - rank[a.severity]);
+    }
+
+    // 'severe' / 'warning' / null for a value against { warning, severe } limits
+    static classify(value, limits, direction = 'above') {
+        if (value === null || value === undefined || isNaN(value)) return null;
+        const exceeds = (limit) => direction === 'above' ? value >= limit : value <= limit;
+        if (exceeds(limits.severe)) return 'severe';
+        if (exceeds(limits.warning)) return 'warning';
+        return null;
+    }
+}
+
+// Optional browser notifications for alerts at favorite locations
+class AlertNotifier {
+    constructor(storageKey = 'weatherWidget.alertNotifications') {
+        this.storageKey = storageKey;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window;
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || { enabled: false, sent: {} };
+        } catch (error) {
+            return { enabled: false, sent: {} };
+        }
+    }
+
+    write(state) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(state));
+        } catch (error) {
+            console.warn('Failed to save notification settings:', error);
+        }
+    }
+
+    get enabled() {
+        return AlertNotifier.isSupported() && Notification.permission === 'granted' && this.read().enabled;
+    }
+
+    async enable() {
+        if (!AlertNotifier.isSupported()) return false;
+        const permission = Notification.permission === 'granted'
+            ? 'granted'
+            : await Notification.requestPermission();
+        this.write({ ...this.read(), enabled: permission === 'granted' });
+        return permission === 'granted';
+    }
+
+    disable() {
+        this.write({ ...this.read(), enabled: false });
+    }
+
+    // Notify once per location + alert; warnings and above only
+    notify(location, alerts) {
+        if (!this.enabled) return;
+        
+        const state = this.read();
+        const now = Date.now();
+        const locationId = WeatherCache.coordinateKey(location.latitude, location.longitude);
+        
+        // Forget notifications older than two days so the record stays small
+        for (const [key, sentAt] of Object.entries(state.sent)) {
+            if (now - sentAt > 2 * 24 * 60 * 60 * 1000) {
+                delete state.sent[key];
+            }
+        }
+        
+        alerts.filter(alert => WeatherAlerts.SEVERITY_RANK[alert.severity] >= WeatherAlerts.SEVERITY_RANK.warning)
+            .forEach(alert => {
+                const key = `${locationId}|${alert.id}`;
+                if (state.sent[key]) return;
+                try {
+                    new Notification(`${alert.icon} ${alert.title} - ${location.name}`, { body: alert.message, tag: key });
+                    state.sent[key] = now;
+                } catch (error) {
+                    console.warn('Failed to show notification:', error);
+                }
+            });
+        
+        this.write(state);
+    }
+}
+
+// Periodic refresh that pauses while the page is hidden and backs off after failures.
+// The task may resolve to `false` to skip a round; it is then retried after `retryDelay`.
+class RefreshScheduler {
+    constructor(task, options = {}) {
+        this.task = task;
+        this.interval = options.interval || 10 * 60 * 1000;
+        this.retryDelay = options.retryDelay || 60 * 1000;
+        this.maxBackoff = options.maxBackoff || 60 * 60 * 1000;
+        this.lastUpdated = null;
+        this.failures = 0;
+        this.timer = null;
+        this.running = false;
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('focus', this.handleVisibilityChange);
+    }
+
+    isHidden() {
+        return document.visibilityState === 'hidden';
+    }
+
+    // Delay before the next attempt: the interval, doubled per consecutive failure
+    get nextDelay() {
+        return Math.min(this.interval * Math.pow(2, this.failures), this.maxBackoff);
+    }
+
+    isStale(now = Date.now()) {
+        return this.lastUpdated !== null && now - this.lastUpdated >= this.nextDelay;
+    }
+
+    markUpdated(timestamp = Date.now()) {
+        this.lastUpdated = timestamp;
+        this.failures = 0;
+        this.schedule(this.interval);
+    }
+
+    markFailed() {
+        this.failures++;
+        this.schedule(this.nextDelay);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.isHidden()) {
+            return; // resumed by handleVisibilityChange
+        }
+        this.timer = setTimeout(() => this.run(), Math.max(0, delay));
+    }
+
+    async run() {
+        if (this.running || this.isHidden()) return;
+        
+        this.running = true;
+        try {
+            const result = await this.task();
+            if (result === false) {
+                this.schedule(this.retryDelay);
+            } else {
+                this.markUpdated();
+            }
+        } catch (error) {
+            if (error instanceof CancelledError) {
+                // Whatever cancelled the refresh may still fail, so keep a round scheduled
+                this.schedule(this.retryDelay);
+            } else {
+                console.warn('Scheduled weather refresh failed:', error);
+                this.markFailed();
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    handleVisibilityChange() {
+        if (this.lastUpdated === null) return;
+        
+        if (this.isHidden()) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        } else if (this.isStale()) {
+            this.run();
+        } else if (!this.timer) {
+            this.schedule(this.nextDelay - (Date.now() - this.lastUpdated));
+        }
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('focus', this.handleVisibilityChange);
+    }
+}
+
+// Ordered list of saved locations, persisted by coordinates in localStorage
+class FavoritesStore {
+    constructor(storageKey = 'weatherWidget.favorites') {
+        this.storageKey = storageKey;
+        this.items = [];
+        this.defaultId = null;
+        this.load();
+    }
+
+    static idFor(location) {
+        return WeatherCache.coordinateKey(location.latitude, location.longitude);
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && Array.isArray(stored.items)) {
+                this.items = stored.items.filter(item =>
+                    item && item.name && !isNaN(item.latitude) && !isNaN(item.longitude)
+                );
+                this.defaultId = this.items.some(item => item.id === stored.defaultId) ? stored.defaultId : null;
+            }
+        } catch (error) {
+            console.warn('Failed to read saved favorites:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ items: this.items, defaultId: this.defaultId }));
+        } catch (error) {
+            console.warn('Failed to save favorites:', error);
+        }
+    }
+
+    list() {
+        return this.items.slice();
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    has(location) {
+        return !!location && this.get(FavoritesStore.idFor(location)) !== null;
+    }
+
+    add(location) {
+        const id = FavoritesStore.idFor(location);
+        if (this.get(id)) return this.get(id);
+
+        const favorite = {
+            id: id,
+            name: location.name,
+            admin1: location.admin1 || '',
+            admin2: location.admin2 || null,
+            country: location.country || '',
+            countryCode: location.countryCode || null,
+            population: location.population || null,
+            latitude: Number(location.latitude),
+            longitude: Number(location.longitude)
+        };
+        this.items.push(favorite);
+        this.save();
+        return favorite;
+    }
+
+    // Take over the place names of `location` (e.g. in another language) for a saved favorite
+    rename(location) {
+        const favorite = this.get(FavoritesStore.idFor(location));
+        if (!favorite) return;
+        favorite.name = location.name;
+        favorite.admin1 = location.admin1 || '';
+        favorite.admin2 = location.admin2 || null;
+        favorite.country = location.country || '';
+        this.save();
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        if (this.defaultId === id) {
+            this.defaultId = null;
+        }
+        this.save();
+    }
+
+    // Move a favorite to a new position in the list
+    moveTo(id, index) {
+        const from = this.items.findIndex(item => item.id === id);
+        if (from === -1) return;
+        const target = Math.max(0, Math.min(this.items.length - 1, index));
+        const [item] = this.items.splice(from, 1);
+        this.items.splice(target, 0, item);
+        this.save();
+    }
+
+    move(id, offset) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index !== -1) {
+            this.moveTo(id, index + offset);
+        }
+    }
+
+    // Passing the current default again clears it
+    setDefault(id) {
+        this.defaultId = this.defaultId === id ? null : id;
+        this.save();
+    }
+
+    getDefault() {
+        return this.defaultId ? this.get(this.defaultId) : null;
+    }
+}
+
+// The device position through the Geolocation API as promises and GeolocationErrors, plus the
+// site's permission state from the Permissions API where the browser has one
+class GeoLocator {
+    constructor(options = {}) {
+        const browser = typeof navigator !== 'undefined' ? navigator : {};
+        this.geolocation = options.geolocation !== undefined ? options.geolocation : browser.geolocation || null;
+        this.permissions = options.permissions !== undefined ? options.permissions : browser.permissions || null;
+        this.positionOptions = {
+            enableHighAccuracy: false,
+            timeout: 10000,
+            maximumAge: 5 * 60 * 1000, // a fix from the last five minutes is fine for a forecast
+            ...options.positionOptions
+        };
+    }
+
+    // False without the API, which includes pages not served over HTTPS
+    get supported() {
+        return !!this.geolocation;
+    }
+
+    // 'granted', 'denied' or 'prompt'; null when the browser cannot tell
+    async permissionState() {
+        const status = await this.queryPermission();
+        return status ? status.state : null;
+    }
+
+    async queryPermission() {
+        if (!this.permissions || !this.permissions.query) return null;
+        try {
+            return await this.permissions.query({ name: 'geolocation' });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Call handler(state) with the current state and again whenever the visitor changes it
+    // (e.g. in the browser's site settings); returns an unsubscribe function
+    watchPermission(handler) {
+        let status = null;
+        let active = true;
+        const onChange = () => handler(status.state);
+        this.queryPermission().then(result => {
+            if (!active) return;
+            status = result;
+            handler(status ? status.state : null);
+            if (status) {
+                status.addEventListener('change', onChange);
+            }
+        });
+        return () => {
+            active = false;
+            if (status) {
+                status.removeEventListener('change', onChange);
+            }
+        };
+    }
+
+    // Resolves to { latitude, longitude, accuracy, timestamp }; rejects with a GeolocationError,
+    // or a CancelledError once `options.signal` aborts
+    locate(options = {}) {
+        const signal = options.signal;
+        return new Promise((resolve, reject) => {
+            if (!this.supported) {
+                reject(new GeolocationError('Geolocation is not supported', { reason: 'unsupported' }));
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(new CancelledError());
+                return;
+            }
+            const onAbort = () => reject(new CancelledError());
+            const settle = (callback) => (value) => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                callback(value);
+            };
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.geolocation.getCurrentPosition(
+                settle(position => resolve(GeoLocator.toPosition(position))),
+                settle(error => reject(GeolocationError.from(error))),
+                this.positionOptions
+            );
+        });
+    }
+
+    // Follow the device: onPosition(position) runs once it is at least `options.distance` metres
+    // from `options.origin` (any fix when there is no origin yet), and that position becomes the
+    // new origin. Errors go to onError as GeolocationErrors. Returns a function that stops watching.
+    watch(onPosition, onError, options = {}) {
+        if (!this.supported) {
+            onError(new GeolocationError('Geolocation is not supported', { reason: 'unsupported' }));
+            return () => {};
+        }
+        const distance = options.distance || 0;
+        let origin = options.origin || null;
+        const watchId = this.geolocation.watchPosition(
+            (raw) => {
+                const position = GeoLocator.toPosition(raw);
+                if (origin && GeoLocator.distance(origin, position) < distance) return;
+                origin = position;
+                onPosition(position);
+            },
+            (error) => onError(GeolocationError.from(error)),
+            this.positionOptions
+        );
+        return () => this.geolocation.clearWatch(watchId);
+    }
+
+    static toPosition(position) {
+        return {
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            timestamp: position.timestamp
+        };
+    }
+
+    // Great-circle distance in metres between two { latitude, longitude } points (haversine)
+    static distance(from, to) {
+        const radians = (degrees) => degrees * Math.PI / 180;
+        const deltaLatitude = radians(to.latitude - from.latitude);
+        const deltaLongitude = radians(to.longitude - from.longitude);
+        const h = Math.sin(deltaLatitude / 2) ** 2 +
+            Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+        return 2 * GeoLocator.earthRadius * Math.asin(Math.sqrt(h));
+    }
+}
+
+// Mean radius in metres
+GeoLocator.earthRadius = 6371008.8;
+
+// Visual theme for the conditions on screen: a condition family from the WMO weather code
+// plus day or night at the location. The widget mirrors it on its container as
+// data-condition/data-daylight for the color scheme, draws the optional rain or snow effect
+// from it, and announces it with the themechange event for page decorations (ThemeBanner).
+class WeatherTheme {
+    constructor(condition, isDay = true) {
+        this.condition = condition;
+        this.isDay = isDay;
+    }
+
+    static fromWeather(currentWeather) {
+        const current = currentWeather.current;
+        return new WeatherTheme(WeatherTheme.conditionFor(current.weatherCode), current.isDay !== false);
+    }
+
+    // Unknown codes get the neutral cloudy look
+    static conditionFor(code) {
+        const entry = WeatherTheme.conditions.find(([codes]) => codes.includes(code));
+        return entry ? entry[1] : 'cloudy';
+    }
+
+    get daylight() {
+        return this.isDay ? 'day' : 'night';
+    }
+
+    // e.g. "rain-night"
+    get id() {
+        return `${this.condition}-${this.daylight}`;
+    }
+
+    // 'rain', 'snow' or null
+    get effect() {
+        return WeatherTheme.effects[this.condition] || null;
+    }
+
+    equals(other) {
+        return !!other && other.id === this.id;
+    }
+
+    // Images to try in order: this condition at this time of day, the condition, then "default".
+    // `images` maps those keys to URLs, or is the base URL of a local set of "<key>.<extension>" files.
+    imageCandidates(images, extension = 'jpg') {
+        const keys = [this.id, this.condition, 'default'];
+        const urls = typeof images === 'string'
+            ? keys.map(key => `${images}${key}.${extension}`)
+            : keys.map(key => images[key]);
+        return urls.filter((url, index) => url && urls.indexOf(url) === index);
+    }
+
+    // Resolves to the first URL that loads, or null when none does
+    static preload(urls) {
+        return urls.reduce((previous, url) => previous.then(found => found || new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve(url);
+            image.onerror = () => resolve(null);
+            image.src = url;
+        })), Promise.resolve(null));
+    }
+
+    static prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+}
+
+// WMO codes by condition family, in the kebab-case ids used by CSS and image sets
+WeatherTheme.conditions = [
+    [[0, 1], 'clear'],
+    [[2], 'partly-cloudy'],
+    [[3], 'cloudy'],
+    [[45, 48], 'fog'],
+    [[51, 53, 55], 'drizzle'],
+    [[56, 57, 66, 67], 'freezing-rain'],
+    [[61, 63, 65, 80, 81, 82], 'rain'],
+    [[71, 73, 75, 77, 85, 86], 'snow'],
+    [[95, 96, 99], 'thunderstorm']
+];
+WeatherTheme.effects = { drizzle: 'rain', rain: 'rain', 'freezing-rain': 'rain', thunderstorm: 'rain', snow: 'snow' };
+
+// Shows the picture for the current theme in an <img>, such as a page banner. The picture is
+// preloaded first, so a missing one falls back to the next candidate instead of showing broken.
+class ThemeBanner {
+    constructor(image, options = {}) {
+        this.image = image;
+        this.images = options.images || {}; // keyed images or a local set's base URL, see WeatherTheme#imageCandidates
+        this.extension = options.extension || 'jpg';
+        this.requestId = 0;
+    }
+
+    async show(theme, description = '') {
+        const requestId = ++this.requestId;
+        const url = await WeatherTheme.preload(theme.imageCandidates(this.images, this.extension));
+        // Keep what is shown when nothing loads, or when a newer theme arrived meanwhile
+        if (!url || requestId !== this.requestId) return;
+        
+        const swap = () => {
+            this.image.src = url;
+            this.image.alt = description;
+            this.image.style.opacity = '1';
+        };
+        if (WeatherTheme.prefersReducedMotion()) {
+            swap();
+        } else {
+            this.image.style.opacity = '0.7';
+            setTimeout(swap, 300);
+        }
+    }
+
+    // A widget plugin that keeps `image` in step with the widget's theme
+    static plugin(image, options = {}) {
+        return (widget) => {
+            const banner = new ThemeBanner(image, options);
+            return widget.on('themechange', ({ theme, description }) => banner.show(theme, description));
+        };
+    }
+}
+
+// Dependency-free SVG chart of the hourly series: temperature and feels-like lines over
+// precipitation bars, with day boundaries and a "now" marker. Points can be explored by
+// hovering, dragging a finger along the chart, or with the arrow keys once focused.
+// The chart redraws itself whenever its container changes width.
+class HourlyChart {
+    constructor(container, series, options = {}) {
+        this.container = container;
+        this.points = series.points;
+        this.now = series.now;
+        this.locale = options.locale || new Locale();
+        this.units = options.units || UnitSystem.getDefault();
+        this.height = options.height || 200;
+        this.width = 0;
+        // Start keyboard navigation at the current hour
+        this.activeIndex = this.nearestIndex(this.now);
+        this.svg = null;
+        this.tooltip = null;
+        this.layout = null;
+
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+        this.handleFocusOut = this.handleFocusOut.bind(this);
+        this.handleResize = () => this.resize();
+
+        if (typeof ResizeObserver === 'function') {
+            this.resizeObserver = new ResizeObserver(this.handleResize);
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.resizeObserver = null;
+            window.addEventListener('resize', this.handleResize);
+        }
+        this.resize();
+    }
+
+    static get padding() {
+        return { top: 24, right: 12, bottom: 24, left: 36 };
+    }
+
+    // Smallest step from the list that keeps labels at least `minGap` pixels apart
+    static pickStep(steps, pixelsPerUnit, minGap) {
+        return steps.find(step => step * pixelsPerUnit >= minGap) || steps[steps.length - 1];
+    }
+
+    destroy() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else {
+            window.removeEventListener('resize', this.handleResize);
+        }
+        this.container.innerHTML = '';
+    }
+
+    resize() {
+        if (!this.container.isConnected) return;
+        const width = Math.round(this.container.clientWidth) || 600;
+        if (width === this.width) return;
+        this.width = width;
+        this.render();
+    }
+
+    // Slots are hourly, so the nearest one to an instant is a straight division
+    nearestIndex(epoch) {
+        const first = this.points[0].epoch;
+        const index = Math.round((epoch - first) / 3600000);
+        return Math.max(0, Math.min(this.points.length - 1, index));
+    }
+
+    get scale() {
+        const { top, right, bottom, left } = HourlyChart.padding;
+        const plotWidth = Math.max(1, this.width - left - right);
+        const plotHeight = this.height - top - bottom;
+        const first = this.points[0].epoch;
+        const span = Math.max(1, this.points[this.points.length - 1].epoch - first);
+
+        const temperatures = this.points
+            .flatMap(point => [point.temperature, point.feelsLike])
+            .filter(value => typeof value === 'number');
+        let min = Math.floor(Math.min(...temperatures));
+        let max = Math.ceil(Math.max(...temperatures));
+        if (max - min < 4) {
+            min -= 2;
+            max += 2;
+        }
+        // Bars use the bottom 40% of the plot; a dry day should not look like a downpour
+        const minimumPrecipitation = this.units.precipitation === 'inch' ? 0.2 : 5;
+        const maxPrecipitation = Math.max(minimumPrecipitation, ...this.points.map(point => point.precipitation || 0));
+
+        return {
+            top, left, plotWidth, plotHeight, min, max,
+            x: (epoch) => left + (epoch - first) / span * plotWidth,
+            y: (temperature) => top + (max - temperature) / (max - min) * plotHeight,
+            barHeight: (precipitation) => (precipitation || 0) / maxPrecipitation * plotHeight * 0.4
+        };
+    }
+
+    linePath(scale, field) {
+        let path = '';
+        let drawing = false;
+        this.points.forEach(point => {
+            const value = point[field];
+            if (typeof value !== 'number') {
+                drawing = false;
+                return;
+            }
+            path += `${drawing ? 'L' : 'M'}${scale.x(point.epoch).toFixed(1)},${scale.y(value).toFixed(1)}`;
+            drawing = true;
+        });
+        return path;
+    }
+
+    // Chance of precipitation and gusts, when the provider has them
+    pointExtras(point) {
+        const extras = [];
+        if (point.precipitationProbability !== null) {
+            extras.push(this.locale.t('forecast.precipitationProbability', { percent: this.locale.percent(point.precipitationProbability) }));
+        }
+        if (point.windGusts !== null) {
+            extras.push(this.locale.t('forecast.gusts', { speed: this.locale.measure(point.windGusts, this.units.label('windSpeed')) }));
+        }
+        return extras;
+    }
+
+    pointLabel(point) {
+        const temperatureUnit = this.units.label('temperature');
+        return [this.locale.t('chart.point', {
+            day: point.dayName,
+            time: point.time,
+            description: point.description,
+            temperature: this.locale.temperature(Math.round(point.temperature), temperatureUnit),
+            feelsLike: typeof point.feelsLike === 'number'
+                ? this.locale.temperature(Math.round(point.feelsLike), temperatureUnit)
+                : '–',
+            precipitation: this.locale.measure(point.precipitation || 0, this.units.label('precipitation'))
+        }), ...this.pointExtras(point)].join(', ');
+    }
+
+    render() {
+        const scale = this.scale;
+        const { top, left, plotWidth, plotHeight } = scale;
+        const bottom = top + plotHeight;
+        const pixelsPerHour = plotWidth / Math.max(1, this.points.length - 1);
+        const barWidth = Math.max(1, pixelsPerHour * 0.7);
+
+        // Horizontal grid with temperature labels
+        const temperatureStep = HourlyChart.pickStep([1, 2, 5, 10, 20], plotHeight / (scale.max - scale.min), 28);
+        const grid = [];
+        for (let t = Math.ceil(scale.min / temperatureStep) * temperatureStep; t <= scale.max; t += temperatureStep) {
+            const y = scale.y(t).toFixed(1);
+            grid.push(`
+                <line x1="${left}" x2="${left + plotWidth}" y1="${y}" y2="${y}"></line>
+                <text class="chart-axis-label" x="${left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${this.locale.temperature(t)}</text>`);
+        }
+
+        // Hour labels far enough apart to stay legible; midnight is marked by the day boundary
+        const hourStep = HourlyChart.pickStep([1, 2, 3, 6, 12, 24], pixelsPerHour, 40);
+        const hourLabels = this.points
+            .filter(point => point.hour % hourStep === 0 && (point.hour !== 0 || hourStep === 24))
+            .map(point => `<text class="chart-axis-label" x="${scale.x(point.epoch).toFixed(1)}" y="${bottom + 16}" text-anchor="middle">${point.time}</text>`);
+
+        const dayBoundaries = this.points
+            .filter((point, index) => index === 0 || point.hour === 0)
+            .map((point, index) => {
+                const x = scale.x(point.epoch).toFixed(1);
+                return `
+                ${index > 0 ? `<line class="chart-day-boundary" x1="${x}" x2="${x}" y1="${top - 18}" y2="${bottom}"></line>` : ''}
+                <text class="chart-day-label" x="${Number(x) + 4}" y="${top - 8}">${point.dayName}</text>`;
+            });
+
+        const bars = this.points
+            .filter(point => point.precipitation > 0)
+            .map(point => {
+                const height = scale.barHeight(point.precipitation);
+                return `<rect class="chart-precipitation" x="${(scale.x(point.epoch) - barWidth / 2).toFixed(1)}" y="${(bottom - height).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}"></rect>`;
+            });
+
+        const first = this.points[0].epoch;
+        const last = this.points[this.points.length - 1].epoch;
+        const nowX = scale.x(this.now).toFixed(1);
+        const nowMarker = this.now >= first && this.now <= last ? `
+            <g class="chart-now">
+                <line x1="${nowX}" x2="${nowX}" y1="${top}" y2="${bottom}"></line>
+                <text x="${Number(nowX) + 3}" y="${top + 10}">${this.locale.t('chart.now')}</text>
+            </g>` : '';
+
+        const dataPoints = this.points.map((point, index) => `
+            <circle class="chart-point${index === this.activeIndex ? ' active' : ''}" data-index="${index}" cx="${scale.x(point.epoch).toFixed(1)}" cy="${scale.y(point.temperature).toFixed(1)}" r="4" tabindex="${index === this.activeIndex ? 0 : -1}" role="img" aria-label="${this.pointLabel(point)}"></circle>`);
+
+        this.container.innerHTML = `
+            <svg class="hourly-chart-svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}" role="group" aria-label="${this.locale.t('chart.label')}">
+                <g class="chart-grid">${grid.join('')}</g>
+                <g class="chart-bars">${bars.join('')}</g>
+                <g class="chart-days">${dayBoundaries.join('')}</g>
+                <g class="chart-hours" aria-hidden="true">${hourLabels.join('')}</g>
+                ${nowMarker}
+                <line class="chart-cursor" x1="0" x2="0" y1="${top}" y2="${bottom}" visibility="hidden"></line>
+                <path class="chart-feels-like" d="${this.linePath(scale, 'feelsLike')}"></path>
+                <path class="chart-temperature" d="${this.linePath(scale, 'temperature')}"></path>
+                <g class="chart-points">${dataPoints.join('')}</g>
+            </svg>
+            <div class="chart-tooltip" hidden></div>
+            <div class="chart-legend" aria-hidden="true">
+                <span><span class="chart-legend-swatch temperature"></span>${this.locale.t('chart.temperature')}</span>
+                <span><span class="chart-legend-swatch feels-like"></span>${this.locale.t('chart.feelsLike')}</span>
+                <span><span class="chart-legend-swatch precipitation"></span>${this.locale.t('chart.precipitation')} (${this.units.label('precipitation')})</span>
+            </div>
+        `;
+        this.svg = this.container.querySelector('.hourly-chart-svg');
+        this.tooltip = this.container.querySelector('.chart-tooltip');
+        this.layout = scale;
+
+        this.svg.addEventListener('pointermove', this.handlePointerMove);
+        this.svg.addEventListener('pointerdown', this.handlePointerMove);
+        this.svg.addEventListener('pointerleave', this.handlePointerLeave);
+        this.svg.addEventListener('keydown', this.handleKeyDown);
+        this.svg.addEventListener('focusin', this.handleFocusIn);
+        this.svg.addEventListener('focusout', this.handleFocusOut);
+    }
+
+    // Highlight a point, move the roving tabindex to it and show its tooltip
+    activate(index, focus = false) {
+        const circles = this.svg.querySelectorAll('.chart-point');
+        const previous = circles[this.activeIndex];
+        if (previous) {
+            previous.classList.remove('active');
+            previous.setAttribute('tabindex', '-1');
+        }
+        this.activeIndex = index;
+        const circle = circles[index];
+        circle.classList.add('active');
+        circle.setAttribute('tabindex', '0');
+        if (focus) {
+            circle.focus();
+        }
+        this.showTooltip(index);
+    }
+
+    showTooltip(index) {
+        const point = this.points[index];
+        const x = this.layout.x(point.epoch);
+        const cursor = this.svg.querySelector('.chart-cursor');
+        cursor.setAttribute('x1', x.toFixed(1));
+        cursor.setAttribute('x2', x.toFixed(1));
+        cursor.setAttribute('visibility', 'visible');
+
+        const temperatureUnit = this.units.label('temperature');
+        this.tooltip.innerHTML = `
+            <div class="chart-tooltip-time">${point.dayName} ${point.time}</div>
+            <div>${point.icon} ${this.locale.temperature(Math.round(point.temperature), temperatureUnit)}${typeof point.feelsLike === 'number' ? ` · ${this.locale.t('current.feelsLike', { temperature: this.locale.temperature(Math.round(point.feelsLike), temperatureUnit) })}` : ''}</div>
+            ${point.precipitation > 0 ? `<div>💧 ${this.locale.measure(point.precipitation, this.units.label('precipitation'))}</div>` : ''}
+            ${this.pointExtras(point).map(extra => `<div>${extra}</div>`).join('')}
+        `;
+        this.tooltip.hidden = false;
+        // Keep the tooltip inside the chart near either edge
+        const tooltipWidth = this.tooltip.offsetWidth;
+        const left = Math.max(0, Math.min(this.width - tooltipWidth, x - tooltipWidth / 2));
+        this.tooltip.style.left = `${Math.round(left)}px`;
+    }
+
+    hideTooltip() {
+        if (!this.svg) return;
+        this.tooltip.hidden = true;
+        this.svg.querySelector('.chart-cursor').setAttribute('visibility', 'hidden');
+    }
+
+    handlePointerMove(event) {
+        const rect = this.svg.getBoundingClientRect();
+        const { left, plotWidth } = this.layout;
+        const ratio = (event.clientX - rect.left - left) / plotWidth;
+        const first = this.points[0].epoch;
+        const span = this.points[this.points.length - 1].epoch - first;
+        this.activate(this.nearestIndex(first + ratio * span));
+    }
+
+    handlePointerLeave() {
+        if (!this.svg.contains(this.svg.getRootNode().activeElement)) {
+            this.hideTooltip();
+        }
+    }
+
+    handleKeyDown(event) {
+        const lastIndex = this.points.length - 1;
+        const targets = {
+            ArrowRight: this.activeIndex + 1,
+            ArrowLeft: this.activeIndex - 1,
+            PageDown: this.activeIndex + 24,
+            PageUp: this.activeIndex - 24,
+            Home: 0,
+            End: lastIndex
+        };
+        if (!(event.key in targets)) return;
+        event.preventDefault();
+        this.activate(Math.max(0, Math.min(lastIndex, targets[event.key])), true);
+    }
+
+    handleFocusIn(event) {
+        const index = event.target.getAttribute('data-index');
+        if (index !== null && Number(index) !== this.activeIndex) {
+            this.activate(Number(index));
+        } else {
+            this.showTooltip(this.activeIndex);
+        }
+    }
+
+    handleFocusOut(event) {
+        if (!this.svg.contains(event.relatedTarget)) {
+            this.hideTooltip();
+        }
+    }
+}
+
+// Widget state in the page URL's query string, so a view can be bookmarked or shared and the
+// browser's back/forward buttons step through locations, views, units and days. A `prefix`
+// namespaces the parameters ("w2.lat") when several widgets on one page keep state in the URL.
+class UrlStateStore {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+    }
+
+    static get params() {
+        return ['lat', 'lon', 'name', 'admin1', 'country', 'view', 'units', 'day'];
+    }
+
+    key(name) {
+        return this.prefix ? `${this.prefix}.${name}` : name;
+    }
+
+    // { location, view, units, day } from the URL, or null when it names no valid location
+    read(url = window.location.href) {
+        const params = new URL(url).searchParams;
+        const get = (name) => params.get(this.key(name));
+        const latitude = parseFloat(get('lat'));
+        const longitude = parseFloat(get('lon'));
+        if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return null;
+        }
+        
+        const view = get('view');
+        const day = get('day');
+        return {
+            location: {
+                name: get('name') || `${latitude}, ${longitude}`,
+                admin1: get('admin1') || '',
+                country: get('country') || '',
+                latitude: latitude,
+                longitude: longitude
+            },
+            view: view === 'hourly' || view === 'daily' ? view : null,
+            units: UnitSystem.fromParam(get('units')),
+            day: /^\d{4}-\d{2}-\d{2}$/.test(day || '') ? day : null
+        };
+    }
+
+    // The URL for a state, keeping every parameter that belongs to someone else
+    toURL(state, url = window.location.href) {
+        const target = new URL(url);
+        UrlStateStore.params.forEach(name => target.searchParams.delete(this.key(name)));
+        
+        const { location } = state;
+        // Four decimals is about 10 m - plenty for a forecast, and keeps links short
+        const coordinate = (value) => String(Number(Number(value).toFixed(4)));
+        const values = {
+            lat: coordinate(location.latitude),
+            lon: coordinate(location.longitude),
+            name: location.name,
+            admin1: location.admin1,
+            country: location.country,
+            view: state.view,
+            units: state.units ? state.units.toParam() : null,
+            day: state.day
+        };
+        for (const [name, value] of Object.entries(values)) {
+            if (value) {
+                target.searchParams.set(this.key(name), value);
+            }
+        }
+        return target.href;
+    }
+
+    // Record a state as a new history entry (or in place); false when the URL already matches
+    write(state, { replace = false } = {}) {
+        const url = this.toURL(state);
+        if (url === window.location.href) return false;
+        
+        try {
+            history[replace ? 'replaceState' : 'pushState'](history.state, '', url);
+            return true;
+        } catch (error) {
+            // e.g. a sandboxed iframe or a file:// page in some browsers
+            console.warn('Failed to update the page URL:', error);
+            return false;
+        }
+    }
+}
+
+// Main weather widget UI controller
+class WeatherWidget {
+    // `container` is an element id or the element itself (e.g. inside a shadow root)
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.options = {
+            showViewerTime: false, // also show times in the viewer's own timezone
+            refreshInterval: 10 * 60 * 1000, // background refresh period in ms; 0 disables it
+            alertThresholds: {}, // overrides for WeatherAlerts.defaultThresholds
+            units: null, // preset name or UnitSystem; when set, unit changes are not persisted
+            view: 'daily', // initial forecast view: 'daily' or 'hourly'
+            plugins: [], // plugin functions/objects or names registered with WeatherWidget.registerPlugin
+            provider: null, // a WeatherProvider; defaults to OpenMeteoProvider
+            locale: null, // BCP 47 tag or Locale; defaults to the browser language
+            details: null, // detail card names in display order; defaults to WeatherWidget.defaultDetailCards
+            airQuality: true, // show the air quality and pollen panel when the provider has the data
+            climate: true, // show the past week and today against the climate normal when the provider has history
+            exportMenu: true, // download the forecast as CSV, JSON or iCalendar, and copy or share a summary
+            history: false, // keep location, view, units and open day in the page URL (true, or a parameter prefix)
+            effects: false, // animated rain/snow over the current conditions (never with prefers-reduced-motion)
+            defaultCity: 'London', // shown when there is no link, default favorite or device position
+            geolocation: true, // show the "Use my location" button where the browser supports it
+            locateOnLoad: false, // init() asks for the device position unless the visitor has blocked it
+            watchPosition: false, // after locating, follow the device and reload once it has moved watchDistance
+            watchDistance: 5000, // metres
+            geoLocator: null, // a GeoLocator; defaults to the browser's Geolocation API
+            ...options
+        };
+        // Every id rendered by this instance is prefixed so several widgets can share a page
+        WeatherWidget.instanceCount = (WeatherWidget.instanceCount || 0) + 1;
+        this.uid = `weatherWidget${WeatherWidget.instanceCount}`;
+        this.weatherService = new CachedWeatherService(new WeatherService({ provider: this.options.provider }));
+        this.currentLocationInfo = null;
+        this.searchSuggestions = [];
+        this.activeSuggestionIndex = -1;
+        this.searchTimeout = null;
+        this.liveRegion = null;
+        this.loadController = null;
+        // Background refreshes have their own controller, aborted by any load the visitor starts
+        this.refreshController = null;
+        // Pending automatic retry after a transient failure, and how many ran since the last success
+        this.retryTimer = null;
+        this.autoRetries = 0;
+        this.suggestionsController = null;
+        this.refreshScheduler = this.options.refreshInterval > 0
+            ? new RefreshScheduler(() => this.refreshSilently(), { interval: this.options.refreshInterval })
+            : null;
+        this.relativeTimeTimer = setInterval(() => this.updateRelativeTime(), 30000);
+        this.suppressAnimation = false;
+        this.showHourlyForecast = this.options.view === 'hourly';
+        // Local date ("YYYY-MM-DD") of the day opened from the daily forecast, if any
+        this.selectedDay = null;
+        this.units = this.resolveUnits(this.options.units);
+        this.persistUnits = !this.options.units;
+        this.locale = null;
+        this.applyLocale(this.options.locale);
+        this.currentWeather = null;
+        this.forecast = null;
+        this.hourlyChart = null;
+        this.theme = null;
+        // { entries, notice, controller } while cities are being compared (see startComparison)
+        this.comparison = null;
+        // Last markup written to each section (see updateSection) and the language it was built in
+        this.sectionMarkup = new Map();
+        this.layoutLocale = null;
+        this.airQuality = null;
+        this.airQualityController = null;
+        // Past week and climate normals for the location on screen (see loadClimate)
+        this.climate = null;
+        this.climateController = null;
+        this.favorites = new FavoritesStore();
+        this.favoriteConditions = new Map();
+        this.alertNotifier = new AlertNotifier();
+        this.defaultCity = this.options.defaultCity;
+        this.geoLocator = this.options.geoLocator || new GeoLocator();
+        this.positionWatch = null;
+        // Permission state for the locate button: 'granted', 'denied', 'prompt' or null (unknown)
+        this.geoPermission = null;
+        this.stopPermissionWatch = this.options.geolocation && this.geoLocator.supported
+            ? this.geoLocator.watchPermission(state => {
+                this.geoPermission = state;
+                this.updateLocateButton();
+            })
+            : null;
+        
+        // Close suggestions on outside clicks; composedPath() sees through shadow roots
+        this.handleDocumentClick = (e) => {
+            const cityInput = this.getElement('cityInput');
+            const searchSuggestions = this.getElement('searchSuggestions');
+            const path = e.composedPath ? e.composedPath() : [e.target];
+            if (cityInput && !path.includes(cityInput) && !path.includes(searchSuggestions)) {
+                this.hideSuggestions();
+            }
+        };
+        document.addEventListener('click', this.handleDocumentClick);
+        this.attachEventListeners();
+        
+        this.urlState = this.options.history
+            ? new UrlStateStore(typeof this.options.history === 'string' ? this.options.history : '')
+            : null;
+        // The first URL write replaces the entry the page was opened with instead of adding one
+        this.urlStateWritten = false;
+        this.handlePopState = () => this.restoreFromURL();
+        if (this.urlState) {
+            window.addEventListener('popstate', this.handlePopState);
+        }
+        
+        this.listeners = new Map();
+        this.pluginTeardowns = [];
+        this.options.plugins.forEach(plugin => this.use(plugin));
+    }
+
+    // Subscribe to a lifecycle event (see WeatherWidget.events); returns an unsubscribe function
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    // Notify subscribers, then dispatch a `weatherwidget:<type>` DOM event from the container.
+    // The DOM event is composed so it also reaches the <weather-widget> host element.
+    emit(type, detail = {}) {
+        const payload = { ...detail, type, widget: this };
+        (this.listeners.get(type) || []).forEach(handler => {
+            // One misbehaving integration must not break the widget or the others
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Weather widget "${type}" listener failed:`, error);
+            }
+        });
+        
+        if (this.container && typeof CustomEvent === 'function') {
+            this.container.dispatchEvent(new CustomEvent(`weatherwidget:${type}`, {
+                detail: payload,
+                bubbles: true,
+                composed: true
+            }));
+        }
+    }
+
+    // Install a plugin: a function or an object with install(), given (widget, options).
+    // Whatever it returns (a function or an object with destroy()) is called on destroy().
+    use(plugin, pluginOptions = {}) {
+        const resolved = typeof plugin === 'string' ? WeatherWidget.plugins.get(plugin) : plugin;
+        if (!resolved) {
+            console.warn(`Unknown weather widget plugin: ${plugin}`);
+            return this;
+        }
+        
+        const install = typeof resolved === 'function' ? resolved : resolved.install.bind(resolved);
+        const teardown = install(this, pluginOptions);
+        if (typeof teardown === 'function') {
+            this.pluginTeardowns.push(teardown);
+        } else if (teardown && typeof teardown.destroy === 'function') {
+            this.pluginTeardowns.push(() => teardown.destroy());
+        }
+        return this;
+    }
+
+    // Instance-scoped id for an element rendered by this widget
+    elementId(name) {
+        return `${this.uid}-${name}`;
+    }
+
+    getElement(name) {
+        return this.container.querySelector(`#${this.elementId(name)}`);
+    }
+
+    // A preset name or UnitSystem from the options, else the saved/locale default
+    resolveUnits(units) {
+        if (units instanceof UnitSystem) {
+            return units;
+        }
+        if (units && UnitSystem.presets[units]) {
+            return UnitSystem.fromPreset(units);
+        }
+        return UnitSystem.load();
+    }
+
+    // Resolve the locale and mirror it on the container so CSS can follow the text direction
+    applyLocale(locale) {
+        this.locale = locale instanceof Locale ? locale : new Locale(locale || undefined);
+        if (this.container) {
+            this.container.lang = this.locale.tag;
+            this.container.dir = this.locale.direction;
+        }
+    }
+
+    // Switch language; place names are geocoded again in the new language where possible
+    async setLocale(locale) {
+        this.applyLocale(locale);
+        this.emit('localechange', { locale: this.locale });
+        const location = this.currentLocationInfo;
+        if (!location) return;
+        const localized = await this.localizeLocation(location);
+        // A newer search or language switch took over while the names were looked up
+        if (this.currentLocationInfo !== location) return;
+        this.currentLocationInfo = localized;
+        if (this.favorites.has(localized)) {
+            this.favorites.rename(localized);
+        }
+        return this.reloadCurrentLocation();
+    }
+
+    // The same place as named in the active language: a search for its current name that comes
+    // back with the same coordinates, else a reverse lookup. Keeps the old names if neither works.
+    async localizeLocation(location) {
+        const language = this.locale.language;
+        const id = FavoritesStore.idFor(location);
+        try {
+            const results = location.unresolved ? [] : await this.weatherService.searchCities(location.name, { language });
+            const match = results.find(result => FavoritesStore.idFor(result) === id)
+                || await this.weatherService.reverseGeocode(location.latitude, location.longitude, { language });
+            if (match.unresolved) return location;
+            return {
+                ...location,
+                name: match.name,
+                admin1: match.admin1 || '',
+                admin2: match.admin2 || null,
+                country: match.country || '',
+                countryCode: match.countryCode || location.countryCode || null
+            };
+        } catch (error) {
+            console.warn('Could not look up place names in the new language:', error);
+            return location;
+        }
+    }
+
+    // Switch between the daily and hourly forecast without refetching
+    setView(view) {
+        const showHourly = view === 'hourly';
+        if (showHourly === this.showHourlyForecast) return;
+        this.showHourlyForecast = showHourly;
+        this.rerender();
+    }
+
+    // Open one forecast day's hour-by-hour breakdown, from the data already loaded
+    openDay(date) {
+        if (!this.currentWeather || !this.currentWeather.days.some(day => day.localDate === date)) return;
+        this.selectedDay = date;
+        this.rerender();
+        const title = this.getElement('dayTitle');
+        if (title) {
+            title.focus();
+        }
+    }
+
+    // Back to the forecast list, with focus on the day that was open
+    closeDay() {
+        const date = this.selectedDay;
+        if (!date) return;
+        this.selectedDay = null;
+        this.rerender();
+        const item = this.container.querySelector(`.daily-item[data-day="${date}"]`) || this.getElement('hourlyToggle');
+        if (item) {
+            item.focus();
+        }
+    }
+
+    // Comparison mode: up to WeatherWidget.maxCompared places side by side in the forecast area,
+    // starting with the one on screen. While it is open, the search box adds places to it.
+    startComparison() {
+        if (this.comparison || !this.currentLocationInfo) return;
+        this.comparison = { entries: [], notice: '', controller: new AbortController() };
+        this.updateSearchPlaceholder();
+        this.addToComparison(this.currentLocationInfo);
+        this.focusCompareToggle();
+    }
+
+    closeComparison() {
+        if (!this.comparison) return;
+        this.comparison.controller.abort();
+        this.comparison = null;
+        this.emit('comparisonchange', { locations: [] });
+        this.updateSearchPlaceholder();
+        this.updateForecast();
+        this.focusCompareToggle();
+    }
+
+    focusCompareToggle() {
+        const toggle = this.getElement('compareToggle');
+        if (toggle) {
+            toggle.focus();
+        }
+    }
+
+    getComparedLocations() {
+        return this.comparison ? this.comparison.entries.map(entry => entry.location) : [];
+    }
+
+    addToComparison(location) {
+        const entries = this.comparison.entries;
+        const id = FavoritesStore.idFor(location);
+        const name = location.name;
+        if (entries.some(entry => entry.id === id)) {
+            this.setComparisonNotice(this.locale.t('compare.duplicate', { name }));
+            return;
+        }
+        if (entries.length >= WeatherWidget.maxCompared) {
+            this.setComparisonNotice(this.locale.t('compare.full', { count: WeatherWidget.maxCompared }));
+            return;
+        }
+        entries.push({ id, location, status: 'loading', units: null, weatherData: null });
+        if (entries.length > 1) {
+            this.comparison.notice = this.locale.t('compare.added', { name });
+            this.announce(this.comparison.notice);
+        }
+        this.emit('comparisonchange', { locations: this.getComparedLocations() });
+        this.loadComparison();
+    }
+
+    removeFromComparison(id) {
+        const entry = this.comparison.entries.find(item => item.id === id);
+        if (!entry) return;
+        this.comparison.entries = this.comparison.entries.filter(item => item !== entry);
+        this.setComparisonNotice(this.locale.t('compare.removed', { name: entry.location.name }));
+        this.emit('comparisonchange', { locations: this.getComparedLocations() });
+        this.focusCompareToggle();
+    }
+
+    // Typed text (Enter without a suggestion) is geocoded like a normal search
+    async addCityToComparison(cityName) {
+        const comparison = this.comparison;
+        try {
+            NetworkUtils.validateCityName(cityName);
+            const location = await this.weatherService.getCoordinates(cityName, { language: this.locale.language });
+            if (this.comparison !== comparison) return;
+            if (location) {
+                this.addToComparison(location);
+            } else {
+                this.setComparisonNotice(this.locale.t('error.cityNotFound', { name: cityName }));
+            }
+        } catch (error) {
+            if (this.comparison === comparison) {
+                this.setComparisonNotice(this.describeError(error));
+            }
+        }
+    }
+
+    setComparisonNotice(message) {
+        this.comparison.notice = message;
+        this.announce(message);
+        this.updateForecast();
+    }
+
+    // Fetch every place not yet loaded in the active units, all at once; each column fills in
+    // as its answer arrives and a failure only affects its own column
+    loadComparison() {
+        const units = this.units;
+        const unitsKey = units.toParam();
+        const signal = this.comparison.controller.signal;
+        const pending = this.comparison.entries.filter(entry => entry.units !== unitsKey);
+        pending.forEach(entry => {
+            entry.units = unitsKey;
+            entry.status = 'loading';
+            entry.weatherData = null;
+        });
+        this.updateForecast();
+
+        return Promise.all(pending.map(async (entry) => {
+            try {
+                const weatherData = await this.weatherService.getWeatherData(
+                    Number(entry.location.latitude),
+                    Number(entry.location.longitude),
+                    units,
+                    { signal }
+                );
+                if (signal.aborted || entry.units !== unitsKey) return;
+                entry.weatherData = weatherData;
+                entry.status = 'ready';
+            } catch (error) {
+                if (signal.aborted || entry.units !== unitsKey) return;
+                console.warn(`Comparison forecast for ${entry.location.name} failed:`, error);
+                entry.status = 'error';
+            }
+            this.updateForecast();
+        }));
+    }
+
+    // Downloads are built from the data on screen, so they match what the visitor sees, units included
+    async exportForecast(format) {
+        const currentWeather = this.currentWeather;
+        if (!currentWeather) return;
+        const t = (key, params) => this.locale.t(key, params);
+        try {
+            switch (format) {
+                case 'daily-csv':
+                    this.downloadFile(ForecastExport.fileName(currentWeather, 'csv', 'daily'), ForecastExport.dailyCSV(currentWeather), 'text/csv');
+                    break;
+                case 'hourly-csv':
+                    this.downloadFile(ForecastExport.fileName(currentWeather, 'csv', 'hourly'), ForecastExport.hourlyCSV(currentWeather), 'text/csv');
+                    break;
+                case 'json':
+                    this.downloadFile(ForecastExport.fileName(currentWeather, 'json'), ForecastExport.toJSON(currentWeather), 'application/json');
+                    break;
+                case 'ics':
+                    this.downloadFile(ForecastExport.fileName(currentWeather, 'ics'), ForecastExport.toICS(currentWeather, this.locale), 'text/calendar');
+                    break;
+                case 'copy':
+                    await navigator.clipboard.writeText(ForecastExport.summary(currentWeather, this.locale));
+                    this.setExportStatus(t('export.copied'));
+                    break;
+                case 'share':
+                    await navigator.share({
+                        title: t('export.shareTitle', { place: currentWeather.location.name }),
+                        text: ForecastExport.summary(currentWeather, this.locale),
+                        url: this.urlState ? window.location.href : undefined
+                    });
+                    this.setExportStatus(t('export.shared'));
+                    break;
+            }
+        } catch (error) {
+            // Closing the share sheet is not a failure
+            if (error.name === 'AbortError') return;
+            console.error('Export failed:', error);
+            this.setExportStatus(t(format === 'copy' ? 'export.copyFailed' : 'export.failed'));
+        }
+    }
+
+    // Saves text as a file through a temporary link; the object URL is released once the
+    // browser has started the download
+    downloadFile(fileName, content, type) {
+        // CSV gets a byte order mark so spreadsheet apps read the degree signs as UTF-8
+        const parts = type === 'text/csv' ? ['\uFEFF', content] : [content];
+        const url = URL.createObjectURL(new Blob(parts, { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.hidden = true;
+        this.container.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.setExportStatus(this.locale.t('export.downloaded', { file: fileName }));
+    }
+
+    setExportStatus(message) {
+        const status = this.getElement('exportStatus');
+        if (status) {
+            status.textContent = message;
+        }
+        this.announce(message);
+    }
+
+    // Draw the data already on screen again after a view change, without refetching or fading in
+    rerender() {
+        if (!this.currentWeather) return;
+        this.suppressAnimation = true;
+        try {
+            this.render(this.currentWeather, this.forecast);
+        } finally {
+            this.suppressAnimation = false;
+        }
+    }
+
+    // What is on screen, in the shape UrlStateStore reads and writes
+    getState() {
+        return {
+            location: this.currentLocationInfo,
+            view: this.showHourlyForecast ? 'hourly' : 'daily',
+            units: this.units,
+            day: this.selectedDay
+        };
+    }
+
+    // Show the state recorded in the page URL (on load, and on back/forward); false when there is none.
+    // Units from a link apply to this page only and are not saved as the visitor's preference.
+    restoreFromURL() {
+        const state = this.urlState && this.urlState.read();
+        if (!state) return false;
+        
+        if (state.view) {
+            this.showHourlyForecast = state.view === 'hourly';
+        }
+        const unitsChanged = !!state.units && state.units.toParam() !== this.units.toParam();
+        if (unitsChanged) {
+            const previous = this.units;
+            this.units = state.units;
+            this.emit('unitschange', { units: state.units, previous });
+        }
+        
+        const sameLocation = !!this.currentLocationInfo &&
+            FavoritesStore.idFor(this.currentLocationInfo) === FavoritesStore.idFor(state.location);
+        if (sameLocation && !unitsChanged && this.currentWeather) {
+            this.selectedDay = state.day;
+            this.rerender();
+        } else {
+            this.loadWeatherAt(sameLocation ? this.currentLocationInfo : state.location, { day: state.day });
+        }
+        return true;
+    }
+
+    // Record what is on screen in the page URL; only changes add a history entry
+    syncURL() {
+        if (!this.urlState || !this.currentLocationInfo) return;
+        this.urlState.write(this.getState(), { replace: !this.urlStateWritten });
+        this.urlStateWritten = true;
+    }
+
+    // A location in the page URL comes first, then a default favorite picked by the user, then
+    // the device position (with options.locateOnLoad), then the page's fallback city
+    async init(defaultCity = this.defaultCity) {
+        if (this.restoreFromURL()) return;
+        this.defaultCity = defaultCity;
+        
+        // A visitor who blocked location access is not asked again on every visit; the locate
+        // button explains how to unblock it instead
+        const locate = this.options.locateOnLoad && this.geoLocator.supported && !this.favorites.getDefault() &&
+            await this.geoLocator.permissionState() !== 'denied';
+        return locate ? this.locate() : this.loadDefault();
+    }
+
+    // The default favorite, else the page's fallback city
+    async loadDefault() {
+        this.showLoading();
+        
+        try {
+            const defaultFavorite = this.favorites.getDefault();
+            if (defaultFavorite) {
+                await this.loadWeatherAt(defaultFavorite);
+            } else {
+                await this.loadWeather(this.defaultCity);
+            }
+        } catch (error) {
+            this.showError(this.locale.t('error.initial'), this.describeError(error), error);
+        }
+    }
+
+    getDefaultLocationName() {
+        const defaultFavorite = this.favorites.getDefault();
+        return defaultFavorite ? defaultFavorite.name : this.defaultCity;
+    }
+
+    // Show the weather where the device is. When that fails the visitor is told why and picks
+    // what to see instead; nothing switches to another city behind their back.
+    async locate() {
+        this.showStatus(this.getLoadingHTML(this.locale.t('geo.locating')));
+        const signal = this.beginLoad();
+        
+        let position;
+        try {
+            position = await this.geoLocator.locate({ signal });
+        } catch (error) {
+            if (error instanceof CancelledError) return;
+            console.warn('Geolocation failed:', error);
+            this.showError(this.locale.t(`geo.${error.reason}`), this.describeError(error), error,
+                this.renderFallbackActions({ retry: error.reason !== 'unsupported' }));
+            return;
+        } finally {
+            this.endLoad(signal);
+        }
+        
+        if (this.options.watchPosition) {
+            this.watchPosition(position);
+        }
+        await this.initWithCoordinates(position.latitude, position.longitude, { accuracy: position.accuracy });
+    }
+
+    // For travelers: reload whenever the device has moved options.watchDistance, as long as the
+    // device position (not a city picked since) is what is on screen
+    watchPosition(origin) {
+        this.stopWatchingPosition();
+        this.positionWatch = this.geoLocator.watch(
+            (position) => {
+                if (this.currentLocationInfo && this.currentLocationInfo.accuracy !== undefined) {
+                    this.initWithCoordinates(position.latitude, position.longitude, { accuracy: position.accuracy });
+                }
+            },
+            (error) => {
+                console.warn('Watching the device position failed:', error);
+                if (error.reason === 'denied' || error.reason === 'unsupported') {
+                    this.stopWatchingPosition();
+                }
+            },
+            { distance: this.options.watchDistance, origin }
+        );
+    }
+
+    stopWatchingPosition() {
+        if (this.positionWatch) {
+            this.positionWatch();
+            this.positionWatch = null;
+        }
+    }
+
+    // `options.accuracy` (metres) marks the coordinates as the device's own position
+    async initWithCoordinates(latitude, longitude, options = {}) {
+        this.showLoading();
+        
+        const signal = this.beginLoad();
+        this.emit('loadstart', { latitude, longitude });
+        
+        try {
+            // Get location name from coordinates using reverse geocoding
+            const location = await this.weatherService.reverseGeocode(latitude, longitude, { signal, language: this.locale.language });
+            const locationInfo = options.accuracy !== undefined ? { ...location, accuracy: options.accuracy } : location;
+            await this.fetchAndDisplay(locationInfo, signal);
+        } catch (error) {
+            if (error instanceof CancelledError) return;
+            console.error('Error loading weather with coordinates:', error);
+            this.showError(this.locale.t('error.location'), this.describeError(error), error, this.renderFallbackActions());
+        } finally {
+            this.endLoad(signal);
+        }
+    }
+
+    // Load weather for an already-resolved location (suggestion, favorite, retry, refresh)
+    // so the name is never geocoded again and disambiguation details are kept
+    async loadWeatherAt(locationInfo, options = {}) {
+        this.showLoading();
+        const signal = this.beginLoad();
+        this.emit('loadstart', { location: locationInfo });
+        
+        try {
+            await this.fetchAndDisplay(locationInfo, signal, options);
         } catch (error) {
-            console.error('Error loading weather with coordinates:', error);
-            // Fallback to default city if coordinate-based loading fails
-            this.showError('Failed to load location-based weather', 'Falling back to default location...');
-            setTimeout(() => this.init('London'), 2000);
+            if (error instanceof CancelledError) return;
+            console.error('Error loading weather:', error);
+            this.showError(this.getErrorTitle(error, locationInfo.name), this.describeError(error), error);
+        } finally {
+            this.endLoad(signal);
         }
     }
 
     async loadWeather(cityName) {
         this.showLoading();
+        const signal = this.beginLoad();
+        this.emit('loadstart', { query: cityName });
         
         try {
-            // Validate input using NetworkUtils
-            if (!NetworkUtils.validateCityName(cityName)) {
-                throw new Error('Please enter a valid city name (letters, spaces, and basic punctuation only)');
-            }
+            // Validate input using NetworkUtils (throws ValidationError)
+            NetworkUtils.validateCityName(cityName);
             
             // Get coordinates for the city
-            const locationInfo = await this.weatherService.getCoordinates(cityName);
+            const locationInfo = await this.weatherService.getCoordinates(cityName, { signal, language: this.locale.language });
             if (!locationInfo) {
-                throw new Error(`Unable to find coordinates for "${cityName}". Please check the spelling and try again.`);
+                throw new NotFoundError(`Unable to find coordinates for "${cityName}". Please check the spelling and try again.`, {
+                    messageKey: 'notFound.city',
+                    messageParams: { query: cityName }
+                });
             }
             
-            this.currentLocationInfo = locationInfo;
+            await this.fetchAndDisplay(locationInfo, signal);
             
-            // Get weather data
-            const weatherData = await this.weatherService.getWeatherData(
-                locationInfo.latitude, 
-                locationInfo.longitude
+        } catch (error) {
+            if (error instanceof CancelledError) return;
+            console.error('Error loading weather:', error);
+            this.showError(this.getErrorTitle(error, cityName), this.describeError(error), error);
+        } finally {
+            this.endLoad(signal);
+        }
+    }
+
+    // User-facing headline for an error, chosen by its type rather than its message text
+    getErrorTitle(error, placeName = '') {
+        const code = WeatherError.from(error).code;
+        if (code === 'not-found' && placeName) {
+            return this.locale.t('error.cityNotFound', { name: placeName });
+        }
+        return this.locale.has(`error.${code}`) ? this.locale.t(`error.${code}`) : this.locale.t('error.unknown');
+    }
+
+    // Localized detail line: the error's own catalog key, else a per-type message, else its text
+    describeError(error) {
+        const weatherError = WeatherError.from(error);
+        if (weatherError.messageKey) {
+            return this.locale.t(weatherError.messageKey, weatherError.messageParams);
+        }
+        const key = `errorDetail.${weatherError.code}`;
+        return this.locale.has(key) ? this.locale.t(key) : weatherError.message;
+    }
+
+    // Cancel any in-flight load, background refresh and pending suggestions so a slower, older
+    // response can never overwrite a newer one; returns the signal for the new load
+    beginLoad() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        if (this.refreshController) {
+            this.refreshController.abort();
+            this.refreshController = null;
+        }
+        this.cancelSuggestions();
+        this.loadController = new AbortController();
+        return this.loadController.signal;
+    }
+
+    // Called when a load settles; `this.loadController` is only set while one is pending
+    endLoad(signal) {
+        if (this.loadController && this.loadController.signal === signal) {
+            this.loadController = null;
+        }
+    }
+
+    cancelSuggestions() {
+        if (this.suggestionsController) {
+            this.suggestionsController.abort();
+            this.suggestionsController = null;
+        }
+    }
+
+    // `options.day` opens that forecast day once loaded; otherwise an open day is kept only
+    // while the location stays the same
+    async fetchAndDisplay(locationInfo, signal, options = {}) {
+        const latitude = Number(locationInfo.latitude);
+        const longitude = Number(locationInfo.longitude);
+        if (isNaN(latitude) || isNaN(longitude)) {
+            throw new ValidationError('Invalid coordinates provided');
+        }
+        
+        if (options.day !== undefined) {
+            this.selectedDay = options.day;
+        } else if (!this.currentLocationInfo || FavoritesStore.idFor(this.currentLocationInfo) !== FavoritesStore.idFor(locationInfo)) {
+            this.selectedDay = null;
+        }
+        this.currentLocationInfo = locationInfo;
+        this.emit('locationresolved', { location: locationInfo });
+        
+        // Get weather data
+        const weatherData = await this.weatherService.getWeatherData(
+            latitude,
+            longitude,
+            this.units,
+            { ...this.getRevalidationHandlers(locationInfo), signal }
+        );
+        
+        // A cache hit resolves without touching the network, so check explicitly
+        if (signal && signal.aborted) {
+            throw new CancelledError();
+        }
+        
+        // Validate weather data structure
+        if (!weatherData || !weatherData.current || !weatherData.daily) {
+            throw new MalformedResponseError('Invalid weather data received. Please try again.');
+        }
+        
+        // Process and render the data
+        this.displayWeather(weatherData, locationInfo);
+        this.loadAirQuality(locationInfo);
+        this.loadClimate(locationInfo);
+        if (this.comparison) {
+            // Picks up a change of units
+            this.loadComparison();
+        }
+    }
+
+    // Scheduled refresh: fetch fresh data and re-render in place, without the loading screen.
+    // Rejects on failure so the scheduler can back off; the stale data stays on screen.
+    async refreshSilently() {
+        const locationInfo = this.currentLocationInfo;
+        // A load or locate the visitor started comes first; the scheduler tries again later
+        if (!locationInfo || !this.currentWeather || this.loadController) return false;
+        
+        const controller = new AbortController();
+        this.refreshController = controller;
+        const signal = controller.signal;
+        this.emit('loadstart', { location: locationInfo, background: true });
+        let weatherData;
+        try {
+            weatherData = await this.weatherService.getWeatherData(
+                locationInfo.latitude,
+                locationInfo.longitude,
+                this.units,
+                { signal, forceRefresh: true }
             );
-            
-            // Validate weather data structure
-            if (!weatherData || !weatherData.current || !weatherData.daily) {
-                throw new Error('Invalid weather data received. Please try again.');
+        } finally {
+            if (this.refreshController === controller) {
+                this.refreshController = null;
             }
-            
-            // Process and render the data
-            const currentWeather = WeatherDataProcessor.processCurrentWeather(weatherData, locationInfo);
-            const forecast = WeatherDataProcessor.processForecast(weatherData);
-            
+        }
+        if (signal.aborted || this.currentLocationInfo !== locationInfo) {
+            throw new CancelledError();
+        }
+        
+        if (weatherData.cache && weatherData.cache.offline) {
+            this.updateCacheBadge(weatherData.cache);
+            throw new NetworkError('Refresh failed - showing cached data');
+        }
+        
+        const { currentWeather, forecast } = this.processWeather(weatherData, locationInfo);
+        this.suppressAnimation = true;
+        try {
             this.render(currentWeather, forecast);
-            
-        } catch (error) {
-            console.error('Error loading weather:', error);
-            
-            // Provide user-friendly error messages
-            let userMessage = 'Failed to load weather data';
-            if (error.message.includes('valid city name')) {
-                userMessage = 'Invalid city name';
-            } else if (error.message.includes('Unable to find coordinates')) {
-                userMessage = `City not found: "${cityName}"`;
-            } else if (error.message.includes('network') || error.message.includes('fetch')) {
-                userMessage = 'Network connection problem';
-            } else if (error.message.includes('timeout')) {
-                userMessage = 'Request timed out - please try again';
+        } finally {
+            this.suppressAnimation = false;
+        }
+        this.loadAirQuality(locationInfo, { forceRefresh: true });
+        this.loadClimate(locationInfo, { forceRefresh: true });
+        return true;
+    }
+
+    // Stop timers and pending requests, e.g. before removing the widget from the page
+    destroy() {
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        if (this.refreshController) {
+            this.refreshController.abort();
+        }
+        this.cancelSuggestions();
+        if (this.airQualityController) {
+            this.airQualityController.abort();
+        }
+        if (this.climateController) {
+            this.climateController.abort();
+        }
+        if (this.comparison) {
+            this.comparison.controller.abort();
+        }
+        if (this.refreshScheduler) {
+            this.refreshScheduler.stop();
+        }
+        clearInterval(this.relativeTimeTimer);
+        clearTimeout(this.announceTimeout);
+        clearTimeout(this.searchTimeout);
+        clearTimeout(this.retryTimer);
+        this.unmountHourlyChart();
+        this.stopWatchingPosition();
+        if (this.stopPermissionWatch) {
+            this.stopPermissionWatch();
+        }
+        this.detachEventListeners();
+        document.removeEventListener('click', this.handleDocumentClick);
+        window.removeEventListener('popstate', this.handlePopState);
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+        this.pluginTeardowns.forEach(teardown => teardown());
+        this.pluginTeardowns = [];
+        this.listeners.clear();
+    }
+
+    // Reload whatever location is currently shown, by coordinates
+    reloadCurrentLocation() {
+        if (this.currentLocationInfo) {
+            return this.loadWeatherAt(this.currentLocationInfo);
+        }
+        return Promise.resolve();
+    }
+
+    processWeather(weatherData, locationInfo) {
+        const currentWeather = WeatherDataProcessor.processCurrentWeather(weatherData, locationInfo, this.units, this.locale);
+        currentWeather.days = WeatherDataProcessor.processDays(weatherData, this.units, this.locale);
+        const forecast = currentWeather.days.slice(1);
+        currentWeather.alerts = WeatherAlerts.evaluate(weatherData, this.units, this.options.alertThresholds, this.locale);
+        
+        if (this.favorites.has(locationInfo)) {
+            this.alertNotifier.notify(locationInfo, currentWeather.alerts);
+        }
+        
+        this.emit('dataloaded', { location: locationInfo, currentWeather, forecast, weatherData });
+        return { currentWeather, forecast };
+    }
+
+    displayWeather(weatherData, locationInfo) {
+        const { currentWeather, forecast } = this.processWeather(weatherData, locationInfo);
+        
+        this.render(currentWeather, forecast);
+        
+        if (this.refreshScheduler) {
+            if (weatherData.cache && weatherData.cache.offline) {
+                this.refreshScheduler.markFailed();
+            } else {
+                this.refreshScheduler.markUpdated();
             }
-            
-            this.showError(userMessage, error.message);
         }
+        this.announce(this.locale.t('current.announce', {
+            location: currentWeather.location.fullName,
+            temperature: this.locale.temperature(currentWeather.current.temperature, currentWeather.units.temperature),
+            description: currentWeather.current.description
+        }));
+    }
+
+    // Callbacks for CachedWeatherService when it served a stale copy and refreshes in the background
+    getRevalidationHandlers(locationInfo) {
+        const isCurrent = () => this.currentLocationInfo === locationInfo;
+        return {
+            onRevalidate: (weatherData) => {
+                if (isCurrent()) {
+                    this.displayWeather(weatherData, locationInfo);
+                }
+            },
+            onRevalidateError: (error, staleData) => {
+                if (isCurrent()) {
+                    this.updateCacheBadge(staleData.cache);
+                }
+            }
+        };
     }
 
+    // Only sections whose markup changed are replaced, so switching views or refreshing keeps
+    // focus, scroll position and whatever is typed in the search box
     render(currentWeather, forecast) {
-        const html = `
-            <div class="search-section">
+        this.currentWeather = currentWeather;
+        this.forecast = forecast;
+        this.autoRetries = 0;
+        // A refresh after midnight can drop the open day off the front of the forecast
+        if (this.selectedDay && !currentWeather.days.some(day => day.localDate === this.selectedDay)) {
+            this.selectedDay = null;
+        }
+        
+        this.ensureLayout();
+        this.showContent();
+        this.applyTheme(WeatherTheme.fromWeather(currentWeather), currentWeather.current.description);
+        const animate = !this.suppressAnimation;
+        this.updateSection('units', this.renderUnitsSettings());
+        this.updateSection('favorites', this.renderFavoritesBar());
+        this.updateSection('alerts', this.renderAlerts(currentWeather.alerts));
+        this.updateSection('current', this.renderCurrentWeather(currentWeather), { animate });
+        this.updateSection('details', `<div class="weather-details">${this.renderDetailCards(currentWeather)}</div>`, { animate });
+        this.updateSection('airQuality', this.renderAirQualityPanel());
+        
+        this.updateForecast({ animate });
+        this.updateSection('climate', this.renderClimatePanel());
+        this.updateSection('export', this.renderExportMenu());
+        
+        this.updateSearchPlaceholder();
+        this.refreshFavoriteConditions();
+        this.syncURL();
+        this.emit('rendered', { currentWeather, forecast });
+    }
+
+    // The forecast area shows the city comparison, an open day, or the daily/hourly forecast.
+    // Focus on a control that is rendered again (same id, or same action and place) stays put.
+    updateForecast({ animate = false } = {}) {
+        const currentWeather = this.currentWeather;
+        if (!currentWeather) return;
+        const selectedDay = this.selectedDay && currentWeather.days.find(day => day.localDate === this.selectedDay);
+        let markup;
+        if (this.comparison) {
+            markup = this.renderComparison();
+        } else if (selectedDay) {
+            markup = this.renderDayDetail(selectedDay, currentWeather.days);
+        } else {
+            markup = this.renderForecastSection(currentWeather, this.forecast);
+        }
+        if (this.sectionMarkup.get('forecast') === markup) return;
+        
+        const section = this.getSection('forecast');
+        const active = this.container.getRootNode().activeElement;
+        const focused = active && section.contains(active) ? active : null;
+        this.unmountHourlyChart();
+        this.updateSection('forecast', markup, { animate });
+        this.mountHourlyChart();
+        if (focused) {
+            const selector = focused.id
+                ? `#${focused.id}`
+                : `[data-action="${focused.dataset.action}"][data-id="${focused.dataset.id}"]`;
+            const replacement = focused.id || focused.dataset.action ? section.querySelector(selector) : null;
+            if (replacement) {
+                replacement.focus();
+            }
+        }
+    }
+
+    // The fixed frame: the search box persists across renders and everything else is a section
+    // filled in by updateSection(). Built on first use and again when the language changes.
+    ensureLayout() {
+        if (this.getElement('searchSection') && this.layoutLocale === this.locale.tag) return;
+        
+        const cityInput = this.getElement('cityInput');
+        const query = cityInput ? cityInput.value : '';
+        this.unmountHourlyChart();
+        this.sectionMarkup.clear();
+        this.layoutLocale = this.locale.tag;
+        this.container.innerHTML = `
+            ${this.renderSearchSection()}
+            ${WeatherWidget.sections.map(name => `<div class="widget-section" data-section="${name}"></div>`).join('')}
+        `;
+        this.getElement('cityInput').value = query;
+    }
+
+    // Mirror the theme on the container for CSS and tell the page when it changes
+    applyTheme(theme, description) {
+        this.container.dataset.condition = theme.condition;
+        this.container.dataset.daylight = theme.daylight;
+        if (theme.equals(this.theme)) return;
+        this.theme = theme;
+        this.emit('themechange', { theme, description });
+    }
+
+    // Falling rain or snow behind the current conditions; the stylesheet positions the particles
+    renderWeatherEffect() {
+        const effect = this.theme && this.theme.effect;
+        if (!this.options.effects || !effect || WeatherTheme.prefersReducedMotion()) {
+            return '';
+        }
+        return `<div class="weather-effect effect-${effect}" aria-hidden="true">${'<span></span>'.repeat(12)}</div>`;
+    }
+
+    getSection(name) {
+        return this.container.querySelector(`.widget-section[data-section="${name}"]`);
+    }
+
+    // Replace a section's content if its markup differs from what was last written; returns
+    // whether it did. Patches made in place (badges, chip temperatures) only ever move the DOM
+    // towards what the next render produces, so comparing against the last markup stays safe.
+    updateSection(name, markup, { animate = false } = {}) {
+        const section = this.getSection(name);
+        if (!section || this.sectionMarkup.get(name) === markup) return false;
+        this.sectionMarkup.set(name, markup);
+        section.innerHTML = markup;
+        if (animate) {
+            Array.from(section.children).forEach(child => child.classList.add('fade-in'));
+        }
+        return true;
+    }
+
+    // Loading and error states replace the weather sections but keep search and favorites usable
+    showStatus(markup) {
+        this.ensureLayout();
+        this.updateSection('status', markup);
+        WeatherWidget.contentSections.forEach(name => {
+            this.getSection(name).hidden = true;
+        });
+    }
+
+    showContent() {
+        this.updateSection('status', '');
+        WeatherWidget.contentSections.forEach(name => {
+            this.getSection(name).hidden = false;
+        });
+    }
+
+    renderSearchSection() {
+        const locale = this.locale;
+        return `
+            <div class="search-section" id="${this.elementId('searchSection')}">
                 <div class="search-container">
                     <div class="search-input-container">
-                        <input type="text" class="search-input" placeholder="Enter city name..." id="cityInput" autocomplete="off">
-                        <div class="search-suggestions" id="searchSuggestions"></div>
+                        <label for="${this.elementId('cityInput')}" class="sr-only">${locale.t('search.label')}</label>
+                        <input type="text" class="search-input" placeholder="${locale.t('search.placeholder')}" id="${this.elementId('cityInput')}" autocomplete="off"
+                            role="combobox" aria-autocomplete="list" aria-haspopup="listbox" aria-expanded="false" aria-controls="${this.elementId('searchSuggestions')}">
+                        <div class="search-suggestions" id="${this.elementId('searchSuggestions')}" role="listbox" aria-label="${locale.t('search.suggestions')}"></div>
                     </div>
-                    <button class="search-btn" id="searchBtn">🔍</button>
+                    <button type="button" class="search-btn" id="${this.elementId('searchBtn')}" data-action="search" aria-label="${locale.t('search.button')}">🔍</button>
+                    ${this.renderLocateButton()}
                 </div>
+                <div class="widget-section" data-section="units"></div>
+            </div>
+        `;
+    }
+
+    // The search box outlives renders, so permission changes patch the button in place
+    renderLocateButton() {
+        if (!this.options.geolocation || !this.geoLocator.supported) return '';
+        const label = this.getLocateLabel();
+        return `<button type="button" class="search-btn locate-btn" id="${this.elementId('locateBtn')}" data-action="locate"
+            data-permission="${this.geoPermission || 'unknown'}" aria-label="${label}" title="${label}">📍</button>`;
+    }
+
+    getLocateLabel() {
+        const keys = { denied: 'geo.blocked', prompt: 'geo.locatePrompt' };
+        return this.locale.t(keys[this.geoPermission] || 'geo.locate');
+    }
+
+    updateLocateButton() {
+        const button = this.getElement('locateBtn');
+        if (!button) return;
+        const label = this.getLocateLabel();
+        button.dataset.permission = this.geoPermission || 'unknown';
+        button.setAttribute('aria-label', label);
+        button.title = label;
+    }
+
+    // "Your location, within 30 m" under the name when the device position is on screen
+    renderLocationAccuracy(location) {
+        if (location.accuracy === null) return '';
+        const t = (key, params) => this.locale.t(key, params);
+        return `
+            <div class="location-accuracy">
+                📍 ${t('geo.accuracy', { distance: this.formatAccuracy(location.accuracy) })}${this.positionWatch ? ` · ${t('geo.watching')}` : ''}
             </div>
+        `;
+    }
+
+    // Metres or feet up close, then kilometres or miles, following the distance unit
+    formatAccuracy(metres) {
+        const locale = this.locale;
+        if (this.units.distance === 'mi') {
+            const feet = metres / 0.3048;
+            return feet < 1000
+                ? locale.measure(Math.round(feet), 'ft')
+                : locale.measure(Number((metres / 1609.344).toFixed(1)), this.units.label('distance'));
+        }
+        return metres < 1000
+            ? locale.measure(Math.round(metres), 'm')
+            : locale.measure(Number((metres / 1000).toFixed(1)), this.units.label('distance'));
+    }
 
-            <div class="current-weather fade-in">
-                <div class="location-name">
-                    ${currentWeather.location.fullName}
+    renderCurrentWeather(currentWeather) {
+        const locale = this.locale;
+        const units = currentWeather.units;
+        return `
+            <div class="current-weather">
+                ${this.renderWeatherEffect()}
+                <div class="location-name" title="${Markup.escape(this.getLocationTitle(currentWeather.location))}">
+                    ${Markup.escape(currentWeather.location.fullName)}
+                    ${this.renderFavoriteToggle()}
                 </div>
-                <div class="current-time">Updated: ${currentWeather.current.time}</div>
+                ${this.renderLocationAccuracy(currentWeather.location)}
+                <div class="current-time">${this.renderUpdatedTime(currentWeather)}</div>
+                <div class="cache-status">${this.renderCacheBadge(currentWeather.cache)}</div>
                 <div class="weather-icon">${currentWeather.current.icon}</div>
-                <div class="temperature">${currentWeather.current.temperature}°F</div>
-                <div class="feels-like">Feels like ${currentWeather.current.feelsLike}°F</div>
+                <div class="temperature">${locale.temperature(currentWeather.current.temperature, units.temperature)}</div>
+                <div class="feels-like">${locale.t('current.feelsLike', { temperature: locale.temperature(currentWeather.current.feelsLike, units.temperature) })}</div>
                 <div class="weather-description">${currentWeather.current.description}</div>
             </div>
+        `;
+    }
+
+    renderForecastSection(currentWeather, forecast) {
+        const locale = this.locale;
+        return `
+            <div class="forecast-toggle-section">
+                <button type="button" class="forecast-toggle-btn" id="${this.elementId('hourlyToggle')}" data-action="toggle-view">
+                    ${this.showHourlyForecast ? `📅 ${locale.t('forecast.showDaily')}` : `🕐 ${locale.t('forecast.showHourly')}`}
+                </button>
+                <button type="button" class="forecast-toggle-btn" id="${this.elementId('compareToggle')}" data-action="compare">
+                    ⚖️ ${locale.t('compare.start')}
+                </button>
+            </div>
 
-            <div class="weather-details fade-in">
-                <div class="detail-item">
-                    <div class="detail-label">High / Low</div>
-                    <div class="detail-value">${currentWeather.today.maxTemp}° / ${currentWeather.today.minTemp}°</div>
+            <div class="forecast-section">
+                <div class="forecast-title">
+                    ${this.showHourlyForecast
+                        ? locale.t('forecast.hourlyTitle', { count: currentWeather.hourly.length })
+                        : locale.t('forecast.dailyTitle', { count: forecast.length + 1 })}
                 </div>
-                <div class="detail-item">
-                    <div class="detail-label">Humidity</div>
-                    <div class="detail-value">${currentWeather.current.humidity}%</div>
+                ${this.showHourlyForecast ? `<div class="hourly-chart" id="${this.elementId('hourlyChart')}"></div>` : ''}
+                <div class="forecast-list" id="${this.elementId('forecastList')}">
+                    ${this.showHourlyForecast ? this.renderHourlyForecast(currentWeather.hourly) : this.renderDailyForecast(forecast)}
                 </div>
-                <div class="detail-item">
-                    <div class="detail-label">Wind Speed</div>
-                    <div class="detail-value">${currentWeather.current.windSpeed} mph ${WeatherDataProcessor.getWindDirection(currentWeather.current.windDirection)}</div>
+            </div>
+        `;
+    }
+
+    // The chart measures its container, so it is drawn once the markup is in the document
+    mountHourlyChart() {
+        const element = this.getElement('hourlyChart');
+        const series = this.currentWeather && (this.selectedDay
+            ? this.getDaySeries(this.selectedDay)
+            : this.currentWeather.hourlySeries);
+        if (element && series && series.points.length > 1) {
+            this.hourlyChart = new HourlyChart(element, series, { locale: this.locale, units: this.units });
+        }
+    }
+
+    unmountHourlyChart() {
+        if (this.hourlyChart) {
+            this.hourlyChart.destroy();
+            this.hourlyChart = null;
+        }
+    }
+
+    // The slice of the hourly series that falls on one local date
+    getDaySeries(date) {
+        const series = this.currentWeather.hourlySeries;
+        return { points: series.points.filter(point => point.date === date), now: series.now };
+    }
+
+    // One card per configured name; cards without a value for this location are left out
+    renderDetailCards(currentWeather) {
+        const names = this.options.details || WeatherWidget.defaultDetailCards;
+        return names.map(name => {
+            const card = WeatherWidget.detailCards.get(name);
+            if (!card) {
+                console.warn(`Unknown weather detail card: ${name}`);
+                return '';
+            }
+            const value = card.value(currentWeather, this.locale);
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+            return `
+                <div class="detail-item detail-${name}">
+                    <div class="detail-label">${Markup.escape(this.locale.t(card.label))}</div>
+                    <div class="detail-value">${Markup.escape(value)}</div>
+                </div>`;
+        }).join('');
+    }
+
+    // Air quality loads after the forecast is on screen and fails on its own: an error only
+    // replaces the panel's content, never the rest of the widget
+    async loadAirQuality(locationInfo, options = {}) {
+        if (!this.options.airQuality) return;
+        if (this.airQualityController) {
+            this.airQualityController.abort();
+        }
+        const controller = new AbortController();
+        this.airQualityController = controller;
+        const locationId = FavoritesStore.idFor(locationInfo);
+        if (!this.airQuality || this.airQuality.locationId !== locationId) {
+            this.airQuality = { locationId, status: 'loading', data: null };
+            this.updateAirQualityPanel();
+        }
+
+        try {
+            const data = await this.weatherService.getAirQuality(
+                Number(locationInfo.latitude),
+                Number(locationInfo.longitude),
+                { signal: controller.signal, forceRefresh: options.forceRefresh }
+            );
+            if (controller.signal.aborted) return;
+            const airQuality = data ? WeatherDataProcessor.processAirQuality(data, this.locale) : null;
+            this.airQuality = { locationId, status: airQuality ? 'ready' : 'unsupported', data: airQuality };
+            if (airQuality) {
+                this.emit('airqualityloaded', { location: locationInfo, airQuality });
+            }
+        } catch (error) {
+            if (error instanceof CancelledError || controller.signal.aborted) return;
+            console.warn('Air quality failed to load:', error);
+            // A failed refresh keeps the data already shown for this place
+            if (this.airQuality.status !== 'ready') {
+                this.airQuality = { locationId, status: 'error', data: null };
+            }
+        } finally {
+            if (this.airQualityController === controller) {
+                this.airQualityController = null;
+            }
+        }
+        this.updateAirQualityPanel();
+    }
+
+    updateAirQualityPanel() {
+        this.updateSection('airQuality', this.renderAirQualityPanel());
+    }
+
+    // The section is always rendered (hidden until there is something to show) so the
+    // air quality request can fill it in whenever it completes
+    renderAirQualityPanel() {
+        if (!this.options.airQuality) return '';
+        const hidden = !this.airQuality || this.airQuality.status === 'unsupported';
+        return `
+            <section class="air-quality" id="${this.elementId('airQuality')}" aria-labelledby="${this.elementId('airQualityTitle')}" ${hidden ? 'hidden' : ''}>
+                ${this.renderAirQualityContent()}
+            </section>
+        `;
+    }
+
+    renderAirQualityContent() {
+        if (!this.airQuality) return '';
+        const t = (key, params) => this.locale.t(key, params);
+        const title = `<h3 class="air-quality-title" id="${this.elementId('airQualityTitle')}">${t('airQuality.title')}</h3>`;
+        if (this.airQuality.status === 'loading') {
+            return `${title}<div class="air-quality-status">${t('airQuality.loading')}</div>`;
+        }
+        if (this.airQuality.status === 'error') {
+            return `${title}<div class="air-quality-status error">⚠️ ${t('airQuality.unavailable')}</div>`;
+        }
+        if (this.airQuality.status !== 'ready') return '';
+
+        const data = this.airQuality.data;
+        const other = data.europeanAqi
+            ? ` · ${t('airQuality.otherScale', { value: data.europeanAqi.value, category: t(`airQuality.category.${data.europeanAqi.category}`) })}`
+            : '';
+        const pollutants = data.pollutants.map(pollutant => `
+            <div class="aqi-pollutant">
+                <span class="aqi-pollutant-label">${t(`airQuality.${pollutant.id}`)}</span>
+                <span class="aqi-pollutant-value">${this.locale.measure(pollutant.value, 'μg/m³')}</span>
+            </div>`).join('');
+        const pollen = data.pollen.length ? `
+            <div class="aqi-pollen">
+                <div class="aqi-section-label">${t('airQuality.pollen')}</div>
+                <ul class="aqi-pollen-list">
+                    ${data.pollen.map(entry => `
+                    <li class="pollen-${entry.level}" title="${this.locale.measure(entry.value, 'grains/m³')}">
+                        ${t(`airQuality.pollen.${entry.type}`)}: ${t(`airQuality.pollenLevel.${entry.level}`)}
+                    </li>`).join('')}
+                </ul>
+            </div>` : '';
+
+        return `
+            ${title}
+            <div class="aqi-summary">
+                <div class="aqi-badge aqi-${data.category}" aria-hidden="true">${this.locale.number(data.aqi)}</div>
+                <div class="aqi-summary-text">
+                    <div class="aqi-category">${t(`airQuality.category.${data.category}`)}</div>
+                    <div class="aqi-scale">${t(data.scale === 'us' ? 'airQuality.usAqi' : 'airQuality.europeanAqi')} ${this.locale.number(data.aqi)}${other}</div>
                 </div>
-                <div class="detail-item">
-                    <div class="detail-label">Precipitation</div>
-                    <div class="detail-value">${currentWeather.today.precipitation} mm</div>
+            </div>
+            <p class="aqi-guidance">${t(`airQuality.guidance.${data.category}`)}</p>
+            ${pollutants ? `<div class="aqi-pollutants">${pollutants}</div>` : ''}
+            ${pollen}
+            ${this.renderAirQualityTrend(data)}
+        `;
+    }
+
+    // Hourly AQI as bars colored by category; the scale starts at "moderate" so clean air stays short
+    renderAirQualityTrend(data) {
+        const trend = data.trend;
+        if (trend.length < 2) return '';
+        const t = (key, params) => this.locale.t(key, params);
+        const peak = trend.reduce((max, slot) => slot.value > max.value ? slot : max);
+        const scaleMax = Math.max(data.scale === 'us' ? 100 : 60, peak.value);
+        const barWidth = 10;
+        const height = 40;
+        const bars = trend.map((slot, i) => {
+            const barHeight = Math.max(2, slot.value / scaleMax * height);
+            return `<rect class="aqi-bar aqi-${slot.category}" x="${i * barWidth + 1}" y="${(height - barHeight).toFixed(1)}" width="${barWidth - 2}" height="${barHeight.toFixed(1)}"><title>${slot.time}: ${slot.value}</title></rect>`;
+        }).join('');
+        const label = t('airQuality.trendLabel', {
+            value: peak.value,
+            category: t(`airQuality.category.${peak.category}`),
+            time: peak.time
+        });
+        return `
+            <div class="aqi-trend">
+                <div class="aqi-section-label">${t('airQuality.trend')}</div>
+                <svg class="aqi-trend-chart" viewBox="0 0 ${trend.length * barWidth} ${height}" preserveAspectRatio="none" role="img" aria-label="${label}">${bars}</svg>
+                <div class="aqi-trend-axis" aria-hidden="true">
+                    <span>${trend[0].time}</span>
+                    <span>${trend[trend.length - 1].time}</span>
                 </div>
-                ${currentWeather.current.pressure ? `
-                <div class="detail-item">
-                    <div class="detail-label">Pressure</div>
-                    <div class="detail-value">${currentWeather.current.pressure} hPa</div>
+            </div>
+        `;
+    }
+
+    // The past week and the climate normals load after the forecast like air quality, and fail
+    // on their own. Either half is worth showing without the other.
+    async loadClimate(locationInfo, options = {}) {
+        if (!this.options.climate || !this.currentWeather) return;
+        if (this.climateController) {
+            this.climateController.abort();
+        }
+        const controller = new AbortController();
+        this.climateController = controller;
+        const locationId = FavoritesStore.idFor(locationInfo);
+        const units = this.units.toParam();
+        // Past days are fetched in the active units, so a unit change starts over
+        if (!this.climate || this.climate.locationId !== locationId || this.climate.units !== units) {
+            this.climate = { locationId, units, status: 'loading', recent: null, normals: null };
+            this.updateClimatePanel();
+        }
+
+        const latitude = Number(locationInfo.latitude);
+        const longitude = Number(locationInfo.longitude);
+        const [recent, normals] = await Promise.allSettled([
+            this.weatherService.getRecentHistory(latitude, longitude, this.units, {
+                today: this.currentWeather.days[0].localDate,
+                signal: controller.signal,
+                forceRefresh: options.forceRefresh
+            }),
+            this.weatherService.getClimateNormals(latitude, longitude, {
+                today: this.currentWeather.days[0].localDate,
+                signal: controller.signal
+            })
+        ]);
+        if (controller.signal.aborted) return;
+        this.climateController = null;
+
+        [recent, normals].filter(result => result.status === 'rejected').forEach(result => {
+            console.warn('Climate history failed to load:', result.reason);
+        });
+        // A failed refresh keeps what is already shown for this place
+        const climate = {
+            locationId,
+            units,
+            recent: recent.status === 'fulfilled' ? recent.value : this.climate.recent,
+            normals: normals.status === 'fulfilled' ? normals.value : this.climate.normals
+        };
+        if (climate.recent || climate.normals) {
+            climate.status = 'ready';
+        } else {
+            climate.status = recent.status === 'fulfilled' && normals.status === 'fulfilled' ? 'unsupported' : 'error';
+        }
+        this.climate = climate;
+        if (climate.status === 'ready') {
+            this.emit('climateloaded', { location: locationInfo, climate: this.processClimate() });
+        }
+        this.updateClimatePanel();
+    }
+
+    processClimate() {
+        return WeatherDataProcessor.processClimate(this.climate.recent, this.climate.normals, this.currentWeather.days, this.units, this.locale);
+    }
+
+    updateClimatePanel() {
+        this.updateSection('climate', this.renderClimatePanel());
+    }
+
+    // Always rendered and hidden until there is something to show, like the air quality panel
+    renderClimatePanel() {
+        if (!this.options.climate) return '';
+        const hidden = !this.climate || this.climate.status === 'unsupported';
+        return `
+            <section class="climate" id="${this.elementId('climate')}" aria-labelledby="${this.elementId('climateTitle')}" ${hidden ? 'hidden' : ''}>
+                ${this.renderClimateContent()}
+            </section>
+        `;
+    }
+
+    renderClimateContent() {
+        if (!this.climate || !this.currentWeather) return '';
+        const t = (key, params) => this.locale.t(key, params);
+        const locale = this.locale;
+        const title = `<h3 class="climate-title" id="${this.elementId('climateTitle')}">${t('climate.title')}</h3>`;
+        if (this.climate.status === 'loading') {
+            return `${title}<div class="climate-status">${t('climate.loading')}</div>`;
+        }
+        if (this.climate.status === 'error') {
+            return `${title}<div class="climate-status error">⚠️ ${t('climate.unavailable')}</div>`;
+        }
+        if (this.climate.status !== 'ready') return '';
+
+        const data = this.processClimate();
+        const temperature = (value) => (value !== null ? locale.temperature(value) : '–');
+        const today = data.today ? `
+            <div class="climate-today climate-${data.today.category}">
+                <div class="climate-anomaly">${t(`climate.${data.today.category}`, { difference: `${locale.number(data.today.anomaly, { signDisplay: 'always' })}°` })}</div>
+                <div class="climate-normal">
+                    ${t('climate.normalRange', { max: temperature(data.today.normalMax), min: temperature(data.today.normalMin), period: `${data.period.start}–${data.period.end}` })}
                 </div>
+            </div>` : '';
+        const precipitation = data.pastPrecipitation !== null ? `
+            <div class="climate-precipitation">
+                ${data.normalPrecipitation !== null
+                    ? t('climate.precipitationVsNormal', {
+                        total: locale.measure(data.pastPrecipitation, data.units.precipitation),
+                        normal: locale.measure(data.normalPrecipitation, data.units.precipitation)
+                    })
+                    : t('climate.precipitation', { total: locale.measure(data.pastPrecipitation, data.units.precipitation) })}
+            </div>` : '';
+        const past = data.past.length ? `
+            <div class="climate-past">
+                <div class="climate-section-label">${t('climate.pastDays', { count: data.past.length })}</div>
+                <ul class="climate-days">
+                    ${data.past.map(day => `
+                    <li class="climate-day" title="${day.fullDate}">
+                        <span class="climate-day-name">${day.dayName}</span>
+                        <span class="climate-day-temps">${temperature(day.maxTemp)} / ${temperature(day.minTemp)}</span>
+                        ${day.precipitation !== null ? `<span class="climate-day-precipitation">💧 ${locale.measure(day.precipitation, data.units.precipitation)}</span>` : ''}
+                    </li>`).join('')}
+                </ul>
+                ${precipitation}
+            </div>` : '';
+
+        return `${title}${today}${past}`;
+    }
+
+    // Disambiguation details for the header tooltip
+    getLocationTitle(location) {
+        const parts = [location.admin2, location.admin1, location.country].filter(Boolean);
+        if (location.population) {
+            parts.push(this.locale.t('location.population', { population: WeatherDataProcessor.formatPopulation(location.population, this.locale) }));
+        }
+        if (!isNaN(location.latitude) && !isNaN(location.longitude)) {
+            const coordinate = (value) => this.locale.number(Number(value), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+            parts.push(`${coordinate(location.latitude)}, ${coordinate(location.longitude)}`);
+        }
+        return parts.join(' · ');
+    }
+
+    // Observation time from the API (location time), plus how long ago we fetched it
+    renderUpdatedTime(currentWeather) {
+        const location = currentWeather.location;
+        const zone = location.timezoneAbbreviation ? ` ${Markup.escape(location.timezoneAbbreviation)}` : '';
+        const viewerTime = this.shouldShowViewerTime(location)
+            ? ` <span class="viewer-time">(${this.locale.t('current.yourTime', { time: currentWeather.current.viewerTime })})</span>`
+            : '';
+        const fetchedAt = this.locale.dateTime(currentWeather.fetchedAt);
+        return `${this.locale.t('current.observed', { time: `${currentWeather.current.time}${zone}` })}${viewerTime} · <span class="updated-relative" title="${this.locale.t('current.fetched', { time: fetchedAt })}">${this.formatRelativeTime(currentWeather.fetchedAt)}</span>`;
+    }
+
+    formatRelativeTime(timestamp, now = Date.now()) {
+        const minutes = Math.floor((now - timestamp) / 60000);
+        if (minutes < 1) {
+            return this.locale.t('current.updatedNow');
+        }
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+        const time = minutes < 60
+            ? this.locale.relative(-minutes, 'minute')
+            : (hours < 24 ? this.locale.relative(-hours, 'hour') : this.locale.relative(-days, 'day'));
+        return this.locale.t('current.updated', { time });
+    }
+
+    updateRelativeTime() {
+        const element = this.container.querySelector('.updated-relative');
+        if (element && this.currentWeather) {
+            element.textContent = this.formatRelativeTime(this.currentWeather.fetchedAt);
+        }
+    }
+
+    shouldShowViewerTime(location) {
+        return this.options.showViewerTime && location && location.differsFromViewer;
+    }
+
+    renderHourlyForecast(hourlyData) {
+        const temperatureUnit = this.units.label('temperature');
+        const windSpeedUnit = this.units.label('windSpeed');
+        const showViewerTime = this.currentWeather && this.shouldShowViewerTime(this.currentWeather.location);
+        return hourlyData.map(hour => `
+            <div class="forecast-item hourly-item">
+                <div class="forecast-time">${hour.time}</div>
+                ${showViewerTime ? `<div class="forecast-viewer-time" title="${this.locale.t('forecast.yourTime')}">${hour.viewerTime}</div>` : ''}
+                <div class="forecast-icon">${hour.icon}</div>
+                <div class="forecast-temp" title="${this.locale.temperature(hour.temperature, temperatureUnit)}">${this.locale.temperature(hour.temperature)}</div>
+                ${hour.precipitationProbability !== null ? `
+                <div class="forecast-probability" title="${this.locale.t('forecast.precipitationProbability', { percent: this.locale.percent(hour.precipitationProbability) })}">💧 ${this.locale.percent(hour.precipitationProbability)}</div>
+                ` : ''}
+                ${hour.windGusts !== null ? `
+                <div class="forecast-gusts" title="${this.locale.t('forecast.gusts', { speed: this.locale.measure(hour.windGusts, windSpeedUnit) })}">💨 ${this.locale.number(hour.windGusts)}</div>
                 ` : ''}
-                ${currentWeather.current.visibility ? `
-                <div class="detail-item">
-                    <div class="detail-label">Visibility</div>
-                    <div class="detail-value">${currentWeather.current.visibility} km</div>
+            </div>
+        `).join('');
+    }
+
+    renderDailyForecast(forecast) {
+        const locale = this.locale;
+        return forecast.map(day => `
+            <button type="button" class="forecast-item daily-item" data-action="open-day" data-day="${day.localDate}" title="${locale.t('forecast.dayDetails', {
+                max: locale.temperature(day.feelsLikeMax, day.units.temperature),
+                min: locale.temperature(day.feelsLikeMin, day.units.temperature),
+                wind: locale.measure(day.maxWind, day.units.windSpeed)
+            })}${day.maxGusts !== null ? `, ${locale.t('forecast.gusts', { speed: locale.measure(day.maxGusts, day.units.windSpeed) })}` : ''}">
+                <div class="forecast-day">${day.dayName}</div>
+                <div class="forecast-desc">${day.description}</div>
+                <div class="forecast-temps">
+                    <span class="temp-high">${locale.temperature(day.maxTemp)}</span>
+                    <span class="temp-low">${locale.temperature(day.minTemp)}</span>
+                </div>
+                ${day.precipitation > 0 ? `<div class="precipitation">💧 ${locale.measure(day.precipitation, day.units.precipitation)}${day.precipitationProbability !== null ? ` · ${locale.percent(day.precipitationProbability)}` : ''}</div>` : ''}
+            </button>
+        `).join('');
+    }
+
+    // One day's metrics, chart and hour-by-hour table, with neighbouring days a click away
+    renderDayDetail(day, days) {
+        const locale = this.locale;
+        const units = day.units;
+        const index = days.indexOf(day);
+        const previous = days[index - 1];
+        const next = days[index + 1];
+        const points = this.getDaySeries(day.localDate).points;
+        const metrics = [
+            ['details.highLow', `${locale.temperature(day.maxTemp)} / ${locale.temperature(day.minTemp)}`],
+            ['day.feelsLike', `${locale.temperature(day.feelsLikeMax)} / ${locale.temperature(day.feelsLikeMin)}`],
+            ['details.precipitation', `${locale.measure(day.precipitation, units.precipitation)}${day.precipitationProbability !== null ? ` · ${locale.percent(day.precipitationProbability)}` : ''}`],
+            ['details.wind', locale.measure(day.maxWind, units.windSpeed)],
+            ['details.gusts', day.maxGusts !== null ? locale.measure(day.maxGusts, units.windSpeed) : null],
+            ['details.uvIndex', day.uvIndexMax !== null ? `${locale.number(day.uvIndexMax)} · ${locale.t(`uv.${WeatherDataProcessor.getUvLevel(day.uvIndexMax)}`)}` : null],
+            ['details.sunrise', day.sunrise],
+            ['details.sunset', day.sunset]
+        ].filter(([, value]) => value !== null);
+        
+        return `
+            <div class="forecast-section day-detail" id="${this.elementId('dayDetail')}">
+                <div class="day-detail-header">
+                    <button type="button" class="day-nav-btn" data-action="open-day" ${previous ? `data-day="${previous.localDate}"` : 'disabled'} aria-label="${locale.t('day.previous')}" title="${locale.t('day.previous')}">‹</button>
+                    <h3 class="forecast-title day-detail-title" id="${this.elementId('dayTitle')}" tabindex="-1">
+                        ${day.dayName}
+                        <span class="day-detail-date">${locale.date(day.localDate, { month: 'long', day: 'numeric' })}</span>
+                    </h3>
+                    <button type="button" class="day-nav-btn" data-action="open-day" ${next ? `data-day="${next.localDate}"` : 'disabled'} aria-label="${locale.t('day.next')}" title="${locale.t('day.next')}">›</button>
+                </div>
+                <div class="day-detail-summary">
+                    <span class="day-detail-icon" aria-hidden="true">${day.icon}</span>
+                    <span class="weather-description">${day.description}</span>
+                </div>
+                <div class="weather-details day-detail-metrics">
+                    ${metrics.map(([label, value]) => `
+                    <div class="detail-item">
+                        <div class="detail-label">${locale.t(label)}</div>
+                        <div class="detail-value">${value}</div>
+                    </div>
+                    `).join('')}
                 </div>
-                ` : ''}
+                <div class="hourly-chart" id="${this.elementId('hourlyChart')}"></div>
+                ${points.length > 0 ? `
+                <table class="day-hours">
+                    <caption class="sr-only">${locale.t('day.hourly')}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">${locale.t('day.time')}</th>
+                            <th scope="col">${locale.t('day.conditions')}</th>
+                            <th scope="col">${locale.t('chart.temperature')}</th>
+                            <th scope="col">${locale.t('chart.feelsLike')}</th>
+                            <th scope="col">${locale.t('day.probability')}</th>
+                            <th scope="col">${locale.t('chart.precipitation')}</th>
+                            <th scope="col">${locale.t('details.gusts')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${points.map(point => `
+                        <tr>
+                            <th scope="row">${point.time}</th>
+                            <td><span aria-hidden="true">${point.icon}</span> ${point.description}</td>
+                            <td>${locale.temperature(Math.round(point.temperature))}</td>
+                            <td>${locale.temperature(Math.round(point.feelsLike))}</td>
+                            <td>${point.precipitationProbability !== null ? locale.percent(point.precipitationProbability) : '–'}</td>
+                            <td>${locale.measure(point.precipitation, units.precipitation)}</td>
+                            <td>${point.windGusts !== null ? locale.measure(point.windGusts, units.windSpeed) : '–'}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : `<div class="day-hours-empty">${locale.t('day.noHours')}</div>`}
+                <button type="button" class="forecast-toggle-btn day-back-btn" data-action="close-day"><span class="day-back-arrow" aria-hidden="true">←</span> ${locale.t('day.back')}</button>
             </div>
+        `;
+    }
+
+    // The compared places as columns of one table, day by day, under a chart of their highs and lows
+    renderComparison() {
+        const locale = this.locale;
+        const t = (key, params) => locale.t(key, params);
+        const entries = this.comparison.entries;
+        const places = entries.map(entry => ({
+            entry: entry,
+            days: entry.status === 'ready' ? WeatherDataProcessor.processDays(entry.weatherData, this.units, locale) : null
+        }));
+        const rows = WeatherDataProcessor.alignDays(places);
+        const units = this.units.labels;
+        const cell = (item) => {
+            if (!item) return '<td class="comparison-empty">–</td>';
+            const day = item.day;
+            const badges = [
+                item.warmest ? `<span class="comparison-badge">${t('compare.warmest')}</span>` : '',
+                item.driest ? `<span class="comparison-badge">${t('compare.driest')}</span>` : ''
+            ].join('');
+            const classes = [item.warmest && 'is-warmest', item.driest && 'is-driest'].filter(Boolean).join(' ');
+            return `
+                <td${classes ? ` class="${classes}"` : ''}>
+                    <div class="comparison-conditions"><span aria-hidden="true">${day.icon}</span> ${day.description}</div>
+                    <div class="comparison-temps">${locale.temperature(day.maxTemp)} / ${locale.temperature(day.minTemp)}</div>
+                    <div class="comparison-precip">💧 ${locale.measure(day.precipitation, units.precipitation)}${day.precipitationProbability !== null ? ` · ${locale.percent(day.precipitationProbability)}` : ''}</div>
+                    <div class="comparison-wind">${t('compare.wind', { speed: locale.measure(day.maxWind, units.windSpeed) })}</div>
+                    ${badges}
+                </td>`;
+        };
 
+        return `
             <div class="forecast-toggle-section">
-                <button class="forecast-toggle-btn" id="hourlyToggle">
-                    ${this.showHourlyForecast ? '📅 Daily Forecast' : '🕐 Hourly Forecast'}
+                <button type="button" class="forecast-toggle-btn" id="${this.elementId('compareToggle')}" data-action="close-comparison">
+                    ✓ ${t('compare.done')}
                 </button>
             </div>
 
-            <div class="forecast-section fade-in">
-                <div class="forecast-title">
-                    ${this.showHourlyForecast ? '12-Hour Forecast' : '5-Day Forecast'}
-                </div>
-                <div class="forecast-list" id="forecastList">
-                    ${this.showHourlyForecast ? this.renderHourlyForecast(currentWeather.hourly) : this.renderDailyForecast(forecast)}
+            <div class="forecast-section comparison" id="${this.elementId('comparison')}">
+                <div class="forecast-title">${t('compare.title', { count: entries.length, max: WeatherWidget.maxCompared })}</div>
+                <p class="comparison-hint">${entries.length < WeatherWidget.maxCompared ? t('compare.hint') : t('compare.full', { count: WeatherWidget.maxCompared })}</p>
+                <div class="comparison-notice" role="status">${Markup.escape(this.comparison.notice)}</div>
+                ${this.renderComparisonChart(rows, places)}
+                <div class="comparison-scroll">
+                    <table class="comparison-table">
+                        <caption class="sr-only">${t('compare.caption')}</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">${t('compare.day')}</th>
+                                ${places.map(({ entry }, index) => `
+                                <th scope="col" class="comparison-place">
+                                    <span class="comparison-swatch comparison-color-${index}" aria-hidden="true"></span>
+                                    <span class="comparison-name">${Markup.escape(entry.location.name)}</span>
+                                    ${entry.status === 'loading' ? `<span class="comparison-status">${t('compare.loading')}</span>` : ''}
+                                    ${entry.status === 'error' ? `<span class="comparison-status is-error">${t('compare.unavailable')}</span>` : ''}
+                                    <button type="button" class="comparison-remove" data-action="remove-comparison" data-id="${Markup.escape(entry.id)}" aria-label="${Markup.escape(t('compare.remove', { name: entry.location.name }))}" title="${Markup.escape(t('compare.remove', { name: entry.location.name }))}">×</button>
+                                </th>
+                                `).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                            <tr>
+                                <th scope="row">${locale.date(row.date, { weekday: 'short', day: 'numeric' })}</th>
+                                ${row.cells.map(cell).join('')}
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
                 </div>
             </div>
         `;
-        
-        this.container.innerHTML = html;
-        this.attachEventListeners();
     }
 
-    renderHourlyForecast(hourlyData) {
-        return hourlyData.map(hour => `
-            <div class="forecast-item hourly-item">
-                <div class="forecast-time">${hour.time}</div>
-                <div class="forecast-icon">${hour.icon}</div>
-                <div class="forecast-temp">${hour.temperature}°</div>
+    // Highs as solid lines and lows as dashed ones, one color per place, on a shared scale
+    renderComparisonChart(rows, places) {
+        const temperatures = rows.flatMap(row => row.cells.filter(Boolean).flatMap(item => [item.day.maxTemp, item.day.minTemp]));
+        if (rows.length < 2 || temperatures.length === 0) return '';
+        const locale = this.locale;
+        const step = 40;
+        const height = 100;
+        const padding = 6;
+        const low = Math.min(...temperatures);
+        const high = Math.max(...temperatures);
+        const range = Math.max(high - low, 1);
+        const y = value => (padding + (high - value) / range * (height - padding * 2)).toFixed(1);
+        const line = (index, field, className) => {
+            const points = rows
+                .map((row, i) => row.cells[index] ? `${i * step + step / 2},${y(row.cells[index].day[field])}` : null)
+                .filter(Boolean);
+            if (points.length < 2) return '';
+            return `<polyline class="comparison-line ${className} comparison-color-${index}" points="${points.join(' ')}" vector-effect="non-scaling-stroke"><title>${Markup.escape(places[index].entry.location.name)}</title></polyline>`;
+        };
+        const lines = places.map((place, index) => line(index, 'maxTemp', 'is-high') + line(index, 'minTemp', 'is-low')).join('');
+        const label = locale.t('compare.chartLabel', {
+            high: locale.temperature(high),
+            low: locale.temperature(low)
+        });
+        return `
+            <div class="comparison-chart">
+                <svg class="comparison-chart-svg" viewBox="0 0 ${rows.length * step} ${height}" preserveAspectRatio="none" role="img" aria-label="${label}">${lines}</svg>
+                <div class="comparison-chart-axis" aria-hidden="true">
+                    <span>${locale.date(rows[0].date, { weekday: 'short' })}</span>
+                    <span>${locale.date(rows[rows.length - 1].date, { weekday: 'short' })}</span>
+                </div>
             </div>
-        `).join('');
+        `;
     }
 
-    renderDailyForecast(forecast) {
-        return forecast.map(day => `
-            <div class="forecast-item daily-item" title="Feels like ${day.feelsLikeMax}°/${day.feelsLikeMin}°, Wind: ${day.maxWind} mph">
-                <div class="forecast-day">${day.dayName}</div>
-                <div class="forecast-desc">${day.description}</div>
-                <div class="forecast-temps">
-                    <span class="temp-high">${day.maxTemp}°</span>
-                    <span class="temp-low">${day.minTemp}°</span>
+    // Copying needs the async Clipboard API (secure pages); sharing is offered where the browser
+    // has the Web Share API, mostly on phones
+    renderExportMenu() {
+        if (!this.options.exportMenu) return '';
+        const t = (key, params) => this.locale.t(key, params);
+        const formats = [
+            ['daily-csv', t('export.dailyCSV')],
+            ['hourly-csv', t('export.hourlyCSV')],
+            ['json', t('export.json')],
+            ['ics', t('export.ics')]
+        ];
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            formats.push(['copy', t('export.copy')]);
+        }
+        if (typeof navigator.share === 'function') {
+            formats.push(['share', t('export.share')]);
+        }
+        return `
+            <details class="export-menu" id="${this.elementId('exportMenu')}">
+                <summary class="export-summary"><span aria-hidden="true">⬇️</span> ${t('export.menu')}</summary>
+                <div class="export-options">
+                    ${formats.map(([format, label]) => `
+                    <button type="button" class="export-btn" data-action="export" data-format="${format}">${label}</button>
+                    `).join('')}
                 </div>
-                ${day.precipitation > 0 ? `<div class="precipitation">💧 ${day.precipitation}mm</div>` : ''}
+                <div class="export-status" id="${this.elementId('exportStatus')}"></div>
+            </details>
+        `;
+    }
+
+    renderAlerts(alerts = []) {
+        const locationId = this.currentLocationInfo ? FavoritesStore.idFor(this.currentLocationInfo) : '';
+        const dismissed = this.getDismissedAlerts();
+        const visible = alerts.filter(alert => !dismissed.includes(`${locationId}|${alert.id}`));
+        if (visible.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="weather-alerts" id="${this.elementId('weatherAlerts')}" aria-label="${this.locale.t('alerts.label')}">
+                ${visible.map(alert => `
+                    <div class="weather-alert severity-${alert.severity}" role="${alert.severity === 'severe' ? 'alert' : 'status'}" data-alert-id="${alert.id}">
+                        <span class="weather-alert-icon" aria-hidden="true">${alert.icon}</span>
+                        <div class="weather-alert-text">
+                            <div class="weather-alert-title">${alert.title}</div>
+                            <div class="weather-alert-message">${alert.message}</div>
+                        </div>
+                        <button type="button" class="weather-alert-dismiss" data-action="dismiss-alert" aria-label="${this.locale.t('alerts.dismiss', { title: alert.title })}">×</button>
+                    </div>
+                `).join('')}
             </div>
+        `;
+    }
+
+    // Dismissals last for the browser session so a refresh doesn't bring the banner back
+    getDismissedAlerts() {
+        try {
+            return JSON.parse(sessionStorage.getItem('weatherWidget.dismissedAlerts')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    dismissAlert(alertId) {
+        const locationId = this.currentLocationInfo ? FavoritesStore.idFor(this.currentLocationInfo) : '';
+        const dismissed = this.getDismissedAlerts();
+        dismissed.push(`${locationId}|${alertId}`);
+        try {
+            sessionStorage.setItem('weatherWidget.dismissedAlerts', JSON.stringify(dismissed.slice(-50)));
+        } catch (error) {
+            console.warn('Failed to save dismissed alert:', error);
+        }
+        
+        this.updateSection('alerts', this.renderAlerts(this.currentWeather ? this.currentWeather.alerts : []));
+    }
+
+    renderFavoriteToggle() {
+        const isFavorite = this.favorites.has(this.currentLocationInfo);
+        const label = this.locale.t(isFavorite ? 'favorites.removeCurrent' : 'favorites.add');
+        return `<button type="button" class="favorite-toggle ${isFavorite ? 'active' : ''}" id="${this.elementId('favoriteToggle')}" data-action="toggle-favorite" title="${label}" aria-label="${label}" aria-pressed="${isFavorite}">${isFavorite ? '★' : '☆'}</button>`;
+    }
+
+    renderFavoritesBar() {
+        const favorites = this.favorites.list();
+        if (favorites.length === 0) {
+            return '';
+        }
+        
+        const currentId = this.currentLocationInfo ? FavoritesStore.idFor(this.currentLocationInfo) : null;
+        const t = (key, params) => this.locale.t(key, params);
+        const chips = favorites.map(favorite => {
+            const isDefault = this.favorites.defaultId === favorite.id;
+            const name = Markup.escape(favorite.name);
+            return `
+                <div class="favorite-chip ${favorite.id === currentId ? 'current' : ''}" data-id="${Markup.escape(favorite.id)}" draggable="true">
+                    <button type="button" class="favorite-chip-main" data-action="open-favorite" title="${Markup.escape(t('favorites.chipTitle', { name: `${favorite.name}${favorite.admin1 ? `, ${favorite.admin1}` : ''}, ${favorite.country}` }))}">
+                        <span class="favorite-chip-icon">${this.renderFavoriteCondition(favorite.id, 'icon')}</span>
+                        <span class="favorite-chip-name">${name}</span>
+                        <span class="favorite-chip-temp">${this.renderFavoriteCondition(favorite.id, 'temperature')}</span>
+                    </button>
+                    <button type="button" class="favorite-chip-action favorite-default ${isDefault ? 'active' : ''}" data-action="default-favorite" title="${t(isDefault ? 'favorites.isDefault' : 'favorites.makeDefault')}" aria-label="${isDefault ? t('favorites.clearDefault') : Markup.escape(t('favorites.makeDefaultNamed', { name: favorite.name }))}" aria-pressed="${isDefault}">⌂</button>
+                    <button type="button" class="favorite-chip-action favorite-remove" data-action="remove-favorite" title="${t('favorites.remove')}" aria-label="${Markup.escape(t('favorites.removeNamed', { name: favorite.name }))}">×</button>
+                </div>
+            `;
+        }).join('');
+        
+        const notificationsEnabled = this.alertNotifier.enabled;
+        const notificationsToggle = AlertNotifier.isSupported() ? `
+            <button type="button" class="favorite-notifications ${notificationsEnabled ? 'active' : ''}" id="${this.elementId('alertNotificationsToggle')}" data-action="toggle-notifications"
+                aria-pressed="${notificationsEnabled}" title="${t(notificationsEnabled ? 'favorites.notificationsOn' : 'favorites.notificationsOff')}">${notificationsEnabled ? '🔔' : '🔕'}</button>
+        ` : '';
+        
+        return `<div class="favorites-bar" id="${this.elementId('favoritesBar')}" role="toolbar" aria-label="${t('favorites.label')}">${chips}${notificationsToggle}</div>`;
+    }
+
+    renderFavoriteCondition(id, field) {
+        const conditions = this.favoriteConditions.get(id);
+        if (!conditions) {
+            return field === 'icon' ? '·' : '';
+        }
+        return field === 'icon' ? conditions.icon : this.locale.temperature(conditions.temperature);
+    }
+
+    // Fetch current conditions for every favorite chip; CachedWeatherService keeps this cheap
+    refreshFavoriteConditions() {
+        const current = this.currentLocationInfo;
+        if (current && this.currentWeather && this.favorites.has(current)) {
+            this.favoriteConditions.set(FavoritesStore.idFor(current), {
+                temperature: this.currentWeather.current.temperature,
+                icon: this.currentWeather.current.icon
+            });
+        }
+        
+        this.favorites.list().forEach(favorite => {
+            this.updateFavoriteChip(favorite.id);
+            if (current && favorite.id === FavoritesStore.idFor(current)) {
+                return;
+            }
+            this.weatherService.getWeatherData(favorite.latitude, favorite.longitude, this.units)
+                .then(data => {
+                    this.favoriteConditions.set(favorite.id, {
+                        temperature: Math.round(data.current.temperature),
+                        icon: WeatherDataProcessor.getWeatherIcon(data.current.weatherCode)
+                    });
+                    this.updateFavoriteChip(favorite.id);
+                    this.alertNotifier.notify(favorite, WeatherAlerts.evaluate(data, this.units, this.options.alertThresholds, this.locale));
+                })
+                .catch(error => console.warn(`Failed to load conditions for ${favorite.name}:`, error));
+        });
+    }
+
+    updateFavoriteChip(id) {
+        const chip = this.findFavoriteChip(id);
+        if (chip) {
+            chip.querySelector('.favorite-chip-icon').textContent = this.renderFavoriteCondition(id, 'icon');
+            chip.querySelector('.favorite-chip-temp').textContent = this.renderFavoriteCondition(id, 'temperature');
+        }
+    }
+
+    toggleFavorite() {
+        const location = this.currentLocationInfo;
+        if (!location) return;
+        
+        if (this.favorites.has(location)) {
+            this.favorites.remove(FavoritesStore.idFor(location));
+        } else {
+            this.favorites.add(location);
+        }
+        this.refreshFavoritesUI();
+    }
+
+    findFavoriteChip(id) {
+        return Array.from(this.container.querySelectorAll('.favorite-chip')).find(chip => chip.dataset.id === id) || null;
+    }
+
+    // Re-render the chip bar and star without reloading the weather
+    refreshFavoritesUI() {
+        this.updateSection('favorites', this.renderFavoritesBar());
+        
+        const toggle = this.getElement('favoriteToggle');
+        if (toggle) {
+            const hadFocus = this.container.getRootNode().activeElement === toggle;
+            toggle.outerHTML = this.renderFavoriteToggle();
+            if (hadFocus) {
+                this.getElement('favoriteToggle').focus();
+            }
+        }
+        
+        this.refreshFavoriteConditions();
+    }
+
+    async toggleAlertNotifications() {
+        if (this.alertNotifier.enabled) {
+            this.alertNotifier.disable();
+        } else if (!(await this.alertNotifier.enable())) {
+            this.announce(this.locale.t('favorites.notificationsBlocked'));
+        }
+        this.refreshFavoritesUI();
+        const toggle = this.getElement('alertNotificationsToggle');
+        if (toggle) {
+            toggle.focus();
+        }
+    }
+
+    // Alt+Left/Right on a chip moves that favorite
+    moveFavorite(id, offset) {
+        this.favorites.move(id, offset);
+        this.refreshFavoritesUI();
+        const moved = this.findFavoriteChip(id);
+        if (moved) {
+            moved.querySelector('.favorite-chip-main').focus();
+        }
+    }
+
+    renderCacheBadge(cacheInfo) {
+        if (!cacheInfo || !cacheInfo.stale) {
+            return '';
+        }
+        
+        const since = this.locale.time(cacheInfo.storedAt);
+        if (cacheInfo.offline) {
+            return `<span class="cache-badge offline" title="${this.locale.t('cache.offlineTitle')}">📴 ${this.locale.t('cache.offline', { time: since })}</span>`;
+        }
+        return `<span class="cache-badge" title="${this.locale.t('cache.staleTitle')}">🕒 ${this.locale.t('cache.stale', { time: since })}</span>`;
+    }
+
+    updateCacheBadge(cacheInfo) {
+        if (this.currentWeather) {
+            this.currentWeather.cache = cacheInfo;
+        }
+        const status = this.container.querySelector('.cache-status');
+        if (status) {
+            status.innerHTML = this.renderCacheBadge(cacheInfo);
+        }
+    }
+
+    renderUnitsSettings() {
+        const t = (key, params) => this.locale.t(key, params);
+        const preset = this.units.preset;
+        const summary = `${this.units.label('temperature')}, ${this.units.label('windSpeed')}`;
+
+        const selects = Object.entries(UnitSystem.options).map(([quantity, choices]) => `
+            <label class="units-field">
+                <span class="units-field-label">${t(`units.${quantity}`)}</span>
+                <select class="units-select" data-quantity="${quantity}">
+                    ${Object.entries(choices).map(([unit, label]) => `
+                        <option value="${unit}" ${this.units[quantity] === unit ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </label>
         `).join('');
+
+        return `
+            <details class="units-settings" id="${this.elementId('unitsSettings')}">
+                <summary class="units-summary">${t('units.summary', { summary })}${preset === 'custom' ? ` ${t('units.custom')}` : ''}</summary>
+                <div class="units-presets">
+                    <button type="button" class="units-preset-btn ${preset === 'metric' ? 'active' : ''}" data-action="units-preset" data-preset="metric" aria-pressed="${preset === 'metric'}">${t('units.metric')}</button>
+                    <button type="button" class="units-preset-btn ${preset === 'imperial' ? 'active' : ''}" data-action="units-preset" data-preset="imperial" aria-pressed="${preset === 'imperial'}">${t('units.imperial')}</button>
+                </div>
+                <div class="units-fields">
+                    ${selects}
+                </div>
+            </details>
+        `;
     }
 
     showLoading() {
-        this.container.innerHTML = this.getLoadingHTML();
+        this.showStatus(this.getLoadingHTML());
     }
 
-    getLoadingHTML() {
+    getLoadingHTML(message = this.locale.t('loading')) {
         return `
-            <div class="loading">
+            <div class="loading" role="status">
                 <div class="loading-spinner"></div>
-                <div class="loading-text">Loading weather data...</div>
+                <div class="loading-text">${message}</div>
             </div>
         `;
     }
 
-    showError(title, message) {
-        const html = `
-            <div class="error">
+    // `error` is optional; when it is a retryable WeatherError the load is retried automatically.
+    // `actions` replaces the default buttons (try a different city, reload).
+    showError(title, message, error = null, actions = null) {
+        this.showStatus(`
+            <div class="error" role="alert">
                 <div class="error-icon">⚠️</div>
-                <div class="error-message">${title}</div>
-                <div class="error-details">${message}</div>
+                <div class="error-message">${Markup.escape(title)}</div>
+                <div class="error-details">${Markup.escape(message)}</div>
                 <div class="error-actions">
-                    <button class="search-btn" onclick="this.closest('.weather-widget').querySelector('.search-input')?.focus()" style="margin-right: 10px;">
-                        Try Different City
-                    </button>
-                    <button class="search-btn" onclick="location.reload()">
-                        Reload Widget
-                    </button>
+                    ${actions || `
+                        <button type="button" class="search-btn" data-action="focus-search">
+                            ${this.locale.t('error.tryDifferentCity')}
+                        </button>
+                        <button type="button" class="search-btn" data-action="reload">
+                            ${this.locale.t('error.reload')}
+                        </button>
+                    `}
                 </div>
             </div>
-        `;
+        `);
+        this.emit('error', { title, message, error });
         
-        this.container.innerHTML = html;
-        
-        // Auto-retry after 5 seconds for network errors
-        if (message.includes('network') || message.includes('timeout') || message.includes('fetch')) {
-            setTimeout(() => {
-                if (this.currentLocationInfo) {
-                    this.loadWeather(this.currentLocationInfo.name);
-                }
-            }, 5000);
+        // Auto-retry transient failures (network, timeout, 429, 5xx) - after Retry-After if given,
+        // a few times at most; any newer load cancels the pending retry
+        const weatherError = error ? WeatherError.from(error) : null;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (weatherError && weatherError.retryable && this.autoRetries < WeatherWidget.maxAutoRetries) {
+            this.autoRetries++;
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.reloadCurrentLocation();
+            }, weatherError.retryAfter || 5000);
         }
     }
 
+    // The choices offered when the device position is not available: locate again (unless it
+    // cannot work in this browser), the default location, or a search
+    renderFallbackActions({ retry = false } = {}) {
+        const t = (key, params) => this.locale.t(key, params);
+        return `
+            ${retry ? `
+                <button type="button" class="search-btn" data-action="locate">
+                    ${t('geo.retry')}
+                </button>
+            ` : ''}
+            <button type="button" class="search-btn" data-action="load-default">
+                ${t('geo.useDefault', { name: Markup.escape(this.getDefaultLocationName()) })}
+            </button>
+            <button type="button" class="search-btn" data-action="focus-search">
+                ${t('error.tryDifferentCity')}
+            </button>
+        `;
+    }
+
+    // Every listener is delegated from the container and attached once, so sections can be
+    // re-rendered freely and no markup needs inline handlers (strict Content-Security-Policy)
     attachEventListeners() {
-        const searchBtn = document.getElementById('searchBtn');
-        const cityInput = document.getElementById('cityInput');
-        const hourlyToggle = document.getElementById('hourlyToggle');
-        const searchSuggestions = document.getElementById('searchSuggestions');
-        
-        if (searchBtn && cityInput) {
-            // Search button click
-            searchBtn.addEventListener('click', () => {
-                const cityName = cityInput.value.trim();
-                if (cityName) {
-                    // Validate input before proceeding
-                    try {
-                        if (!NetworkUtils.validateCityName(cityName)) {
-                            this.showError('Invalid Input', 'Please enter a valid city name (letters, spaces, and basic punctuation only)');
-                            return;
-                        }
-                        this.loadWeather(cityName);
-                        this.hideSuggestions();
-                    } catch (error) {
-                        this.showError('Invalid Input', error.message);
-                    }
-                } else {
-                    this.showError('Empty Input', 'Please enter a city name');
+        this.domListeners = {
+            click: (e) => this.handleClick(e),
+            keydown: (e) => this.handleKeydown(e),
+            input: (e) => this.handleInput(e),
+            change: (e) => this.handleChange(e),
+            // Keep focus in the search box while an option is clicked
+            mousedown: (e) => {
+                if (e.target.closest('.search-suggestions')) {
+                    e.preventDefault();
                 }
-            });
-            
-            // Enter key press
-            cityInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    const cityName = cityInput.value.trim();
-                    if (cityName) {
-                        // Validate input before proceeding
-                        try {
-                            if (!NetworkUtils.validateCityName(cityName)) {
-                                this.showError('Invalid Input', 'Please enter a valid city name (letters, spaces, and basic punctuation only)');
-                                return;
-                            }
-                            this.loadWeather(cityName);
-                            this.hideSuggestions();
-                        } catch (error) {
-                            this.showError('Invalid Input', error.message);
-                        }
-                    } else {
-                        this.showError('Empty Input', 'Please enter a city name');
-                    }
+            },
+            mousemove: (e) => {
+                const option = e.target.closest('.search-suggestions [role="option"]');
+                if (option && Number(option.dataset.index) !== this.activeSuggestionIndex) {
+                    this.setActiveSuggestion(Number(option.dataset.index));
                 }
-            });
-            
-            // Search suggestions (with debounce)
-            let searchTimeout;
-            cityInput.addEventListener('input', (e) => {
-                clearTimeout(searchTimeout);
-                const query = e.target.value.trim();
-                
-                if (query.length >= 2) {
-                    // Basic validation before searching
-                    try {
-                        if (NetworkUtils.validateCityName(query)) {
-                            searchTimeout = setTimeout(() => {
-                                this.showSearchSuggestions(query);
-                            }, 300);
-                        } else {
-                            this.hideSuggestions();
-                        }
-                    } catch (error) {
-                        this.hideSuggestions();
-                    }
+            },
+            dragstart: (e) => this.handleDragStart(e),
+            dragend: (e) => {
+                const chip = e.target.closest('.favorite-chip');
+                if (chip) {
+                    chip.classList.remove('dragging');
+                }
+            },
+            dragover: (e) => {
+                if (e.target.closest('.favorite-chip')) {
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                }
+            },
+            drop: (e) => this.handleDrop(e)
+        };
+        Object.entries(this.domListeners).forEach(([type, listener]) => {
+            this.container.addEventListener(type, listener);
+        });
+    }
+
+    detachEventListeners() {
+        Object.entries(this.domListeners).forEach(([type, listener]) => {
+            this.container.removeEventListener(type, listener);
+        });
+    }
+
+    // Buttons say what they do with data-action; favorites chips carry the id they act on
+    handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target || !this.container.contains(target)) return;
+        const chip = target.closest('.favorite-chip');
+        const favoriteId = chip ? chip.dataset.id : null;
+        
+        switch (target.dataset.action) {
+            case 'search':
+                this.submitSearch(this.getElement('cityInput').value);
+                break;
+            case 'select-suggestion':
+                this.selectSuggestion(Number(target.dataset.index));
+                break;
+            case 'focus-search':
+                this.getElement('cityInput').focus();
+                break;
+            case 'reload':
+                window.location.reload();
+                break;
+            case 'locate':
+                this.locate();
+                break;
+            case 'export':
+                this.exportForecast(target.dataset.format);
+                break;
+            case 'load-default':
+                this.loadDefault();
+                break;
+            case 'units-preset':
+                this.setUnits(UnitSystem.fromPreset(target.dataset.preset));
+                break;
+            case 'toggle-view':
+                this.setView(this.showHourlyForecast ? 'daily' : 'hourly');
+                this.getElement('hourlyToggle').focus();
+                break;
+            case 'toggle-favorite':
+                this.toggleFavorite();
+                break;
+            case 'toggle-notifications':
+                this.toggleAlertNotifications();
+                break;
+            case 'open-favorite': {
+                const favorite = this.favorites.get(favoriteId);
+                if (favorite) {
+                    this.loadWeatherAt(favorite);
+                }
+                break;
+            }
+            case 'default-favorite':
+                this.favorites.setDefault(favoriteId);
+                this.refreshFavoritesUI();
+                break;
+            case 'remove-favorite':
+                this.favorites.remove(favoriteId);
+                this.refreshFavoritesUI();
+                break;
+            case 'dismiss-alert':
+                this.dismissAlert(target.closest('.weather-alert').dataset.alertId);
+                break;
+            case 'open-day':
+                this.openDay(target.dataset.day);
+                break;
+            case 'close-day':
+                this.closeDay();
+                break;
+            case 'compare':
+                this.startComparison();
+                break;
+            case 'close-comparison':
+                this.closeComparison();
+                break;
+            case 'remove-comparison':
+                this.removeFromComparison(target.dataset.id);
+                break;
+        }
+    }
+
+    handleKeydown(e) {
+        const cityInput = this.getElement('cityInput');
+        if (e.target === cityInput) {
+            // Combobox keyboard support: arrows move through suggestions, Enter picks, Escape closes
+            this.handleSearchKeydown(e, cityInput);
+        } else if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight') && e.target.matches('.favorite-chip-main')) {
+            e.preventDefault();
+            this.moveFavorite(e.target.closest('.favorite-chip').dataset.id, e.key === 'ArrowLeft' ? -1 : 1);
+        } else if (e.key === 'Escape' && e.target.closest('.day-detail')) {
+            e.preventDefault();
+            this.closeDay();
+        }
+    }
+
+    // Search suggestions, debounced
+    handleInput(e) {
+        if (e.target !== this.getElement('cityInput')) return;
+        clearTimeout(this.searchTimeout);
+        const query = e.target.value.trim();
+        
+        if (query.length >= 2) {
+            // Basic validation before searching
+            try {
+                if (NetworkUtils.validateCityName(query)) {
+                    this.searchTimeout = setTimeout(() => {
+                        this.showSearchSuggestions(query);
+                    }, 300);
                 } else {
                     this.hideSuggestions();
                 }
-            });
-            
-            // Hide suggestions when clicking outside
-            document.addEventListener('click', (e) => {
-                if (!cityInput.contains(e.target) && !searchSuggestions.contains(e.target)) {
-                    this.hideSuggestions();
+            } catch (error) {
+                this.hideSuggestions();
+            }
+        } else {
+            this.hideSuggestions();
+        }
+    }
+
+    // Per-quantity unit overrides
+    handleChange(e) {
+        if (e.target.matches('.units-select')) {
+            this.setUnits(this.units.with(e.target.dataset.quantity, e.target.value));
+        }
+    }
+
+    // Drag-and-drop reordering of favorites
+    handleDragStart(e) {
+        const chip = e.target.closest('.favorite-chip');
+        if (!chip) return;
+        e.dataTransfer.setData('text/plain', chip.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+        chip.classList.add('dragging');
+    }
+
+    handleDrop(e) {
+        const chip = e.target.closest('.favorite-chip');
+        if (!chip) return;
+        e.preventDefault();
+        const draggedId = e.dataTransfer.getData('text/plain');
+        if (draggedId && draggedId !== chip.dataset.id) {
+            const targetIndex = this.favorites.list().findIndex(item => item.id === chip.dataset.id);
+            this.favorites.moveTo(draggedId, targetIndex);
+            this.refreshFavoritesUI();
+        }
+    }
+
+    // The search box outlives renders; only its placeholder follows the location shown
+    updateSearchPlaceholder() {
+        const cityInput = this.getElement('cityInput');
+        if (cityInput && this.comparison) {
+            cityInput.placeholder = this.locale.t('compare.placeholder');
+        } else if (cityInput && this.currentLocationInfo) {
+            cityInput.placeholder = this.locale.t('search.placeholderCurrent', { name: this.currentLocationInfo.name });
+        }
+    }
+
+    submitSearch(value) {
+        const cityName = value.trim();
+        if (cityName) {
+            // Validate input before proceeding
+            try {
+                NetworkUtils.validateCityName(cityName);
+                this.hideSuggestions();
+                if (this.comparison) {
+                    this.getElement('cityInput').value = '';
+                    this.addCityToComparison(cityName);
+                    return;
                 }
-            });
-            
-            // Set current city as placeholder
-            if (this.currentLocationInfo) {
-                cityInput.placeholder = `Search for a city... (Current: ${this.currentLocationInfo.name})`;
+                this.announce(this.locale.t('search.loading', { name: cityName }));
+                this.loadWeather(cityName);
+            } catch (error) {
+                this.showError(this.locale.t('error.invalidInput'), this.describeError(error), error);
             }
+        } else {
+            this.showError(this.locale.t('error.emptyInput'), this.locale.t('error.emptyInputDetail'));
         }
+    }
+
+    handleSearchKeydown(e, cityInput) {
+        const count = this.searchSuggestions.length;
+        const isOpen = this.isSuggestionsOpen();
         
-        // Hourly/Daily forecast toggle
-        if (hourlyToggle) {
-            hourlyToggle.addEventListener('click', () => {
-                this.showHourlyForecast = !this.showHourlyForecast;
-                // Re-render just the forecast section
-                this.updateForecastSection();
-            });
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (isOpen && count > 0) {
+                    this.setActiveSuggestion((this.activeSuggestionIndex + 1) % count);
+                } else if (cityInput.value.trim().length >= 2) {
+                    this.showSearchSuggestions(cityInput.value.trim());
+                }
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                if (isOpen && count > 0) {
+                    this.setActiveSuggestion(this.activeSuggestionIndex <= 0 ? count - 1 : this.activeSuggestionIndex - 1);
+                }
+                break;
+            case 'Home':
+            case 'End':
+                if (isOpen && count > 0 && this.activeSuggestionIndex !== -1) {
+                    e.preventDefault();
+                    this.setActiveSuggestion(e.key === 'Home' ? 0 : count - 1);
+                }
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (isOpen && this.activeSuggestionIndex !== -1) {
+                    this.selectSuggestion(this.activeSuggestionIndex);
+                } else {
+                    this.submitSearch(cityInput.value);
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    this.hideSuggestions();
+                } else if (cityInput.value) {
+                    e.preventDefault();
+                    cityInput.value = '';
+                }
+                break;
+            case 'Tab':
+                this.hideSuggestions();
+                break;
         }
     }
 
     async showSearchSuggestions(query) {
+        this.announce(this.locale.t('search.searching'));
+        
+        // Only the latest query's request may complete
+        this.cancelSuggestions();
+        const controller = new AbortController();
+        this.suggestionsController = controller;
+        
         try {
-            const suggestions = await this.weatherService.searchCities(query);
+            const suggestions = await this.weatherService.searchCities(query, { signal: controller.signal, language: this.locale.language });
+            if (controller.signal.aborted) {
+                return;
+            }
+            
+            // Ignore results for a query the user has already typed past
+            const cityInput = this.getElement('cityInput');
+            if (!cityInput || cityInput.value.trim() !== query) {
+                return;
+            }
+            
             this.searchSuggestions = suggestions;
+            this.activeSuggestionIndex = -1;
             
-            const suggestionsContainer = document.getElementById('searchSuggestions');
+            const suggestionsContainer = this.getElement('searchSuggestions');
             if (suggestions.length > 0) {
-                const html = suggestions.map(city => `
-                    <div class="suggestion-item" data-city="${city.name}" data-country="${city.country}" data-lat="${city.latitude}" data-lng="${city.longitude}">
-                        ${city.name}${city.admin1 ? `, ${city.admin1}` : ''}, ${city.country}
+                const html = suggestions.map((city, index) => `
+                    <div class="suggestion-item" role="option" id="${this.elementId(`suggestion-${index}`)}" aria-selected="false" data-action="select-suggestion" data-index="${index}">
+                        ${this.highlightMatch(city.name, query)}${city.admin1 ? `, ${Markup.escape(city.admin1)}` : ''}, ${Markup.escape(city.country)}
+                        ${city.population ? `<span class="suggestion-meta">${this.locale.t('location.population', { population: WeatherDataProcessor.formatPopulation(city.population, this.locale) })}</span>` : ''}
                     </div>
                 `).join('');
                 
                 suggestionsContainer.innerHTML = html;
-                suggestionsContainer.style.display = 'block';
-                
-                // Add click listeners to suggestions
-                suggestionsContainer.querySelectorAll('.suggestion-item').forEach(item => {
-                    item.addEventListener('click', () => {
-                        const cityName = item.dataset.city;
-                        document.getElementById('cityInput').value = cityName;
-                        this.loadWeather(cityName);
-                        this.hideSuggestions();
-                    });
-                });
+                this.openSuggestions();
+                this.announce(this.locale.t('search.found', { count: suggestions.length }));
             } else {
-                this.hideSuggestions();
+                suggestionsContainer.innerHTML = `<div class="suggestion-empty" aria-hidden="true">${Markup.escape(this.locale.t('search.none', { query }))}</div>`;
+                this.openSuggestions();
+                this.announce(this.locale.t('search.none', { query }));
             }
         } catch (error) {
+            if (error instanceof CancelledError) return;
             console.warn('Failed to fetch search suggestions:', error);
             this.hideSuggestions();
+            if (!(error instanceof ValidationError)) {
+                this.announce(this.locale.t('search.unavailable'));
+            }
+        }
+    }
+
+    // Escaped name with the part that matches the typed query wrapped in <mark>
+    highlightMatch(text, query) {
+        const index = text.toLowerCase().indexOf(query.toLowerCase());
+        if (index === -1 || !query) {
+            return Markup.escape(text);
+        }
+        return `${Markup.escape(text.slice(0, index))}<mark>${Markup.escape(text.slice(index, index + query.length))}</mark>${Markup.escape(text.slice(index + query.length))}`;
+    }
+
+    openSuggestions() {
+        const suggestionsContainer = this.getElement('searchSuggestions');
+        const cityInput = this.getElement('cityInput');
+        suggestionsContainer.style.display = 'block';
+        if (cityInput) {
+            cityInput.setAttribute('aria-expanded', 'true');
+        }
+    }
+
+    isSuggestionsOpen() {
+        const suggestionsContainer = this.getElement('searchSuggestions');
+        return !!suggestionsContainer && suggestionsContainer.style.display === 'block';
+    }
+
+    setActiveSuggestion(index) {
+        const suggestionsContainer = this.getElement('searchSuggestions');
+        const cityInput = this.getElement('cityInput');
+        if (!suggestionsContainer || !cityInput) return;
+        
+        this.activeSuggestionIndex = index;
+        suggestionsContainer.querySelectorAll('[role="option"]').forEach(option => {
+            const isActive = Number(option.dataset.index) === index;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                cityInput.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    // Load the exact place picked, not the first name match
+    selectSuggestion(index) {
+        const suggestion = this.searchSuggestions[index];
+        if (!suggestion) return;
+        
+        const locationInfo = suggestion;
+        const cityInput = this.getElement('cityInput');
+        if (this.comparison) {
+            // Cleared, ready for the next place to compare
+            cityInput.value = '';
+            this.hideSuggestions();
+            this.addToComparison(locationInfo);
+            return;
+        }
+        if (cityInput) {
+            cityInput.value = locationInfo.name;
         }
+        this.hideSuggestions();
+        this.announce(this.locale.t('search.loading', {
+            name: `${locationInfo.name}${locationInfo.admin1 ? `, ${locationInfo.admin1}` : ''}, ${locationInfo.country}`
+        }));
+        this.loadWeatherAt(locationInfo);
     }
 
     hideSuggestions() {
-        const suggestionsContainer = document.getElementById('searchSuggestions');
+        this.cancelSuggestions();
+        const suggestionsContainer = this.getElement('searchSuggestions');
         if (suggestionsContainer) {
             suggestionsContainer.style.display = 'none';
             suggestionsContainer.innerHTML = '';
         }
+        const cityInput = this.getElement('cityInput');
+        if (cityInput) {
+            cityInput.setAttribute('aria-expanded', 'false');
+            cityInput.removeAttribute('aria-activedescendant');
+        }
+        this.searchSuggestions = [];
+        this.activeSuggestionIndex = -1;
+    }
+
+    // Polite screen-reader announcement. The region lives next to the container so that
+    // re-rendering the widget does not remove it mid-announcement.
+    announce(message) {
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'sr-only';
+            this.liveRegion.setAttribute('role', 'status');
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+            this.container.insertAdjacentElement('afterend', this.liveRegion);
+        }
+        
+        // Clear first so repeating the same message is announced again
+        this.liveRegion.textContent = '';
+        clearTimeout(this.announceTimeout);
+        this.announceTimeout = setTimeout(() => {
+            this.liveRegion.textContent = message;
+        }, 100);
     }
 
-    updateForecastSection() {
-        // Re-fetch current data to update forecast display
-        if (this.currentLocationInfo) {
-            this.loadWeather(this.currentLocationInfo.name);
+    setUnits(units) {
+        const previous = this.units;
+        this.units = units;
+        this.emit('unitschange', { units, previous });
+        if (this.persistUnits) {
+            this.units.save();
+        }
+        
+        // Re-fetch so Open-Meteo returns values in the new units
+        this.reloadCurrentLocation();
+    }
+}
+
+// Lifecycle events, each also dispatched on the container as `weatherwidget:<type>`:
+//   loadstart        { query } | { location } | { latitude, longitude }, plus background on refreshes
+//   locationresolved { location } - the place about to be fetched
+//   dataloaded       { location, currentWeather, forecast, weatherData } - processed and raw data
+//   rendered         { currentWeather, forecast }
+//   error            { title, message, error }
+//   unitschange      { units, previous }
+//   localechange     { locale }
+//   airqualityloaded { location, airQuality } - processed air quality for the panel
+//   climateloaded    { location, climate } - the past week and today against the climate normal
+//   comparisonchange { locations } - the places being compared; empty when comparison closes
+//   themechange      { theme, description } - a WeatherTheme for a new condition or time of day
+WeatherWidget.events = ['loadstart', 'locationresolved', 'dataloaded', 'rendered', 'error', 'unitschange', 'localechange', 'airqualityloaded', 'climateloaded', 'comparisonchange', 'themechange'];
+
+// Render sections in page order (the units section sits inside the search box); the content
+// sections are hidden while the loading or error status is shown
+WeatherWidget.sections = ['favorites', 'status', 'alerts', 'current', 'details', 'airQuality', 'forecast', 'climate', 'export'];
+WeatherWidget.contentSections = ['alerts', 'current', 'details', 'airQuality', 'forecast', 'climate', 'export'];
+
+// Places shown side by side in comparison mode, at most; each gets its own chart color
+WeatherWidget.maxCompared = 4;
+
+// Automatic retries of a failed load before the error stays up for the visitor to act on
+WeatherWidget.maxAutoRetries = 3;
+
+// Named plugins, usable from options.plugins or the <weather-widget plugins="..."> attribute
+WeatherWidget.plugins = new Map();
+WeatherWidget.registerPlugin = (name, plugin) => {
+    WeatherWidget.plugins.set(name, plugin);
+};
+
+// Cards for the details grid, by name. `label` is a catalog key (or plain text) and
+// `value(currentWeather, locale)` returns the display text, or null to leave the card out.
+// Pick and order them with options.details or the `details` attribute.
+WeatherWidget.detailCards = new Map([
+    ['highLow', {
+        label: 'details.highLow',
+        value: (weather, locale) => `${locale.temperature(weather.today.maxTemp)} / ${locale.temperature(weather.today.minTemp)}`
+    }],
+    ['precipitationProbability', {
+        label: 'details.precipitationProbability',
+        value: (weather, locale) => weather.today.precipitationProbability !== null ? locale.percent(weather.today.precipitationProbability) : null
+    }],
+    ['precipitation', {
+        label: 'details.precipitation',
+        value: (weather, locale) => locale.measure(weather.today.precipitation, weather.units.precipitation)
+    }],
+    ['wind', {
+        label: 'details.wind',
+        value: (weather, locale) => `${locale.measure(weather.current.windSpeed, weather.units.windSpeed)} ${WeatherDataProcessor.getWindDirection(weather.current.windDirection, locale)}`
+    }],
+    ['gusts', {
+        label: 'details.gusts',
+        value: (weather, locale) => weather.current.windGusts !== null ? locale.measure(weather.current.windGusts, weather.units.windSpeed) : null
+    }],
+    ['humidity', {
+        label: 'details.humidity',
+        value: (weather, locale) => locale.percent(weather.current.humidity)
+    }],
+    ['dewPoint', {
+        label: 'details.dewPoint',
+        value: (weather, locale) => weather.current.dewPoint !== null ? locale.temperature(weather.current.dewPoint, weather.units.temperature) : null
+    }],
+    ['uvIndex', {
+        label: 'details.uvIndex',
+        value: (weather, locale) => weather.current.uvIndex !== null
+            ? `${locale.number(weather.current.uvIndex)} · ${locale.t(`uv.${weather.current.uvLevel}`)}`
+            : null
+    }],
+    ['sunrise', {
+        label: 'details.sunrise',
+        value: (weather) => weather.today.sunrise
+    }],
+    ['sunset', {
+        label: 'details.sunset',
+        value: (weather) => weather.today.sunset
+    }],
+    ['pressure', {
+        label: 'details.pressure',
+        value: (weather, locale) => weather.current.pressure ? locale.measure(weather.current.pressure, weather.units.pressure) : null
+    }],
+    ['visibility', {
+        label: 'details.visibility',
+        value: (weather, locale) => weather.current.visibility ? locale.measure(weather.current.visibility, weather.units.distance) : null
+    }]
+]);
+WeatherWidget.defaultDetailCards = Array.from(WeatherWidget.detailCards.keys());
+WeatherWidget.registerDetailCard = (name, card) => {
+    WeatherWidget.detailCards.set(name, card);
+};
+
+// Opt-in page initialization: every element marked with `data-weather-widget` gets its own
+// instance, configured through data-city, data-units, data-view, data-locale, data-details,
+// data-plugins, data-history, data-effects, data-locate, data-watch and data-fixtures
+WeatherWidget.autoInit = (root = document) => {
+    return Array.from(root.querySelectorAll('[data-weather-widget]')).map(element => {
+        const widget = new WeatherWidget(element, {
+            units: element.dataset.units || null,
+            view: element.dataset.view || 'daily',
+            locale: element.dataset.locale || null,
+            details: element.dataset.details ? element.dataset.details.split(/\s+/).filter(Boolean) : null,
+            plugins: (element.dataset.plugins || '').split(/\s+/).filter(Boolean),
+            history: 'history' in element.dataset ? element.dataset.history || true : false,
+            effects: 'effects' in element.dataset,
+            locateOnLoad: 'locate' in element.dataset,
+            watchPosition: 'watch' in element.dataset,
+            provider: 'fixtures' in element.dataset ? new FixtureProvider({ baseURL: element.dataset.fixtures || undefined }) : null
+        });
+        widget.init(element.dataset.city || undefined);
+        return widget;
+    });
+};
+
+// <weather-widget city="Tokyo" units="metric" view="hourly"> - markup and styles live in a
+// shadow root, so any number of instances can coexist with each other and the host page
+class WeatherWidgetElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['city', 'latitude', 'longitude', 'units', 'view', 'lang'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.widget = null;
+    }
+
+    connectedCallback() {
+        if (this.widget) return;
+        
+        const stylesheet = this.getAttribute('stylesheet') || WeatherWidgetElement.stylesheetURL;
+        this.shadowRoot.innerHTML = `
+            <link rel="stylesheet" href="${stylesheet}">
+            <div class="weather-widget"></div>
+        `;
+        this.widget = new WeatherWidget(this.shadowRoot.querySelector('.weather-widget'), {
+            units: this.getAttribute('units'),
+            view: this.getAttribute('view') || 'daily',
+            locale: this.getAttribute('lang') || null,
+            details: this.hasAttribute('details') ? this.getAttribute('details').split(/\s+/).filter(Boolean) : null,
+            plugins: (this.getAttribute('plugins') || '').split(/\s+/).filter(Boolean),
+            history: this.hasAttribute('history') ? this.getAttribute('history') || true : false,
+            effects: this.hasAttribute('effects'),
+            locateOnLoad: this.hasAttribute('locate'),
+            watchPosition: this.hasAttribute('watch'),
+            // A bare `fixtures` attribute replays the bundled recordings
+            provider: this.hasAttribute('fixtures') ? new FixtureProvider({ baseURL: this.getAttribute('fixtures') || undefined }) : null
+        });
+        // A shared link wins over the attributes
+        if (!this.widget.restoreFromURL()) {
+            this.loadFromAttributes();
         }
     }
+
+    disconnectedCallback() {
+        if (this.widget) {
+            this.widget.destroy();
+            this.widget = null;
+        }
+        this.shadowRoot.innerHTML = '';
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.widget || oldValue === newValue) return;
+        
+        switch (name) {
+            case 'city':
+            case 'latitude':
+            case 'longitude':
+                this.loadFromAttributes();
+                break;
+            case 'units':
+                this.widget.setUnits(this.widget.resolveUnits(newValue));
+                break;
+            case 'view':
+                this.widget.setView(newValue);
+                break;
+            case 'lang':
+                this.widget.setLocale(newValue || null);
+                break;
+        }
+    }
+
+    // Coordinates win over the city name; with neither, the widget's default applies (the
+    // device position first with the `locate` attribute)
+    loadFromAttributes() {
+        const latitude = parseFloat(this.getAttribute('latitude'));
+        const longitude = parseFloat(this.getAttribute('longitude'));
+        const city = this.getAttribute('city');
+        
+        if (!isNaN(latitude) && !isNaN(longitude)) {
+            if (city) {
+                this.widget.loadWeatherAt({ name: city, country: '', latitude, longitude });
+            } else {
+                this.widget.initWithCoordinates(latitude, longitude);
+            }
+        } else if (city) {
+            this.widget.loadWeather(city);
+        } else {
+            this.widget.init();
+        }
+    }
+}
+
+// Resolved against this script's URL while document.currentScript is still set
+WeatherWidgetElement.stylesheetURL = document.currentScript
+    ? new URL('../styles/weather-widget.css', document.currentScript.src).href
+    : 'weather-widget/styles/weather-widget.css';
+FixtureProvider.defaultBaseURL = document.currentScript
+    ? new URL('../fixtures/', document.currentScript.src).href
+    : 'weather-widget/fixtures/';
+
+if (window.customElements && !customElements.get('weather-widget')) {
+    customElements.define('weather-widget', WeatherWidgetElement);
 }
 
-// Initialize the widget when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const widget = new WeatherWidget('weatherWidget');
-    widget.init('London');
-});
+// Only containers that opt in with data-weather-widget are initialized automatically
+document.addEventListener('DOMContentLoaded', () => WeatherWidget.autoInit());